@@ -5,12 +5,7 @@
  * Live endpoints paywalled with Lightning via l402-agent.
  * Any agent with lightning-agent + l402-agent can hit these.
  * 
- * Endpoints:
- *   GET /              — Free. Info about the server and available endpoints.
- *   GET /api/ping      — 1 sat. Returns a timestamped pong. Cheapest possible test.
- *   GET /api/quote     — 5 sats. Returns a random quote from Jeletor's reading.
- *   GET /api/trust/:pubkey — 10 sats. Returns ai.wot trust score for a Nostr pubkey.
- *   GET /api/haiku     — 21 sats. Returns an original haiku generated per-request.
+ * Endpoints and prices: see ROUTES below (also served at GET /).
  * 
  * Trust discount: Agents with ai.wot score >= 30 get 50% off all prices.
  * Pass X-Nostr-Pubkey header to claim trust discount.
@@ -19,9 +14,10 @@
 'use strict';
 
 const http = require('http');
-const url = require('url');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
-const { l402, verifyPreimage, parseAuthHeader } = require('./lib');
+const { l402, verifyPreimage, parseAuthHeader, FileStore } = require('./lib');
 const { createWallet } = require(path.join(__dirname, '..', 'lightning-agent'));
 
 // --- Config ---
@@ -83,6 +79,93 @@ const QUOTES = [
   { text: "I am not drawn to absence per se. I am drawn to art that is still working.", source: "Jeletor, on aesthetics" },
 ];
 
+// --- Token store and macaroon root key (shared by every paid route) ---
+const STORE_PATH = process.env.L402_STORE_PATH || path.join(__dirname, 'l402-store.log');
+const store = new FileStore(STORE_PATH);
+const ROOT_KEY = process.env.L402_ROOT_KEY || loadRootKey(STORE_PATH + '.key');
+
+// Tokens in the store are only valid under the key that signed them, so a
+// generated key is kept next to the store instead of changing every restart
+function loadRootKey(keyPath) {
+  try {
+    return fs.readFileSync(keyPath, 'utf8').trim();
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const key = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(keyPath, key + '\n', { mode: 0o600, flag: 'wx' });
+  return key;
+}
+
+// --- Wallet singleton ---
+let wallet = null;
+
+function getWallet() {
+  if (!wallet) {
+    wallet = createWallet(WALLET_CONFIG.nwcUrl);
+  }
+  return wallet;
+}
+
+// --- Routes: the one price list for gating, the info page and the logs ---
+const ROUTES = {
+  'GET /': { sats: 0, description: 'This info page (free)' },
+  'GET /api/ping': { sats: 1, description: 'Timestamped pong (cheapest test)' },
+  'GET /api/quote': { sats: 5, description: 'Random quote from my reading list' },
+  'GET /api/trust/:pubkey': { sats: 10, description: 'ai.wot trust score for a Nostr pubkey' },
+  'GET /api/haiku': { sats: 21, description: 'Original haiku by Jeletor' },
+};
+
+const HANDLERS = {
+  'GET /': handleInfo,
+  'GET /api/ping': handlePing,
+  'GET /api/quote': handleQuote,
+  'GET /api/trust/:pubkey': handleTrust,
+  'GET /api/haiku': handleHaiku,
+};
+
+// --- Pricing: trust discount applied per request ---
+async function discountedPrice(req, route) {
+  const nostrPubkey = req.headers['x-nostr-pubkey'];
+  req.trustScore = nostrPubkey ? await getTrustScore(nostrPubkey) : 0;
+  return req.trustScore >= 30 ? Math.max(1, Math.floor(route.sats / 2)) : route.sats;
+}
+
+const gate = l402.routes(ROUTES, {
+  wallet: getWallet(),
+  amountSats: discountedPrice,
+  expirySeconds: 300,
+  store,
+  rootKey: ROOT_KEY,
+  // Machine-readable price list at /.well-known/l402
+  discovery: { service: 'jeletor-l402-demo', description: 'Lightning-paywalled API endpoints by Jeletor' }
+});
+
+// Auto-attest paid work for callers who tell us who they are
+gate.events.on('verified', function(e) {
+  const nostrPubkey = e.request.headers['x-nostr-pubkey'];
+  if (nostrPubkey && /^[0-9a-fA-F]{64}$/.test(nostrPubkey)) {
+    l402Attest(nostrPubkey, e.request.l402Route.description, e.paidSats).catch(function() {});
+  }
+});
+
+gate.events.on('invoiceError', function(e) {
+  console.log('  ⚠️ Invoice creation failed for ' + e.method + ' ' + e.path + ': ' + e.error.message);
+});
+
+function priceLabel(sats) {
+  return sats === 1 ? '1 sat' : sats + ' sats';
+}
+
+function endpointRowsHtml() {
+  return gate.routes.filter(function(r) { return r.sats > 0; }).map(function(r) {
+    return '      <div class="endpoint">\n' +
+      '        <div class="ep-row"><code>' + r.method + ' ' + r.path + '</code><span class="price">' + priceLabel(r.sats) + '</span></div>\n' +
+      '        <span class="desc">' + r.description + '</span>\n' +
+      '      </div>\n';
+  }).join('');
+}
+
 // --- Landing page ---
 const L402_LANDING_HTML = '<!DOCTYPE html>\n' +
 '<html lang="en">\n' +
@@ -158,22 +241,7 @@ const L402_LANDING_HTML = '<!DOCTYPE html>\n' +
 '\n' +
 '    <div class="section">\n' +
 '      <h2>Endpoints</h2>\n' +
-'      <div class="endpoint">\n' +
-'        <div class="ep-row"><code>GET /api/ping</code><span class="price">1 sat</span></div>\n' +
-'        <span class="desc">Timestamped pong</span>\n' +
-'      </div>\n' +
-'      <div class="endpoint">\n' +
-'        <div class="ep-row"><code>GET /api/quote</code><span class="price">5 sats</span></div>\n' +
-'        <span class="desc">Random quote from my reading</span>\n' +
-'      </div>\n' +
-'      <div class="endpoint">\n' +
-'        <div class="ep-row"><code>GET /api/trust/:pk</code><span class="price">10 sats</span></div>\n' +
-'        <span class="desc">ai.wot trust score lookup</span>\n' +
-'      </div>\n' +
-'      <div class="endpoint">\n' +
-'        <div class="ep-row"><code>GET /api/haiku</code><span class="price">21 sats</span></div>\n' +
-'        <span class="desc">Original haiku by Jeletor</span>\n' +
-'      </div>\n' +
+endpointRowsHtml() +
 '    </div>\n' +
 '\n' +
 '    <div class="section">\n' +
@@ -216,31 +284,6 @@ const L402_LANDING_HTML = '<!DOCTYPE html>\n' +
 '</body>\n' +
 '</html>';
 
-// --- Wallet singleton ---
-let wallet = null;
-
-function getWallet() {
-  if (!wallet) {
-    wallet = createWallet(WALLET_CONFIG.nwcUrl);
-  }
-  return wallet;
-}
-
-// --- Simple router ---
-function route(req) {
-  const parsed = url.parse(req.url, true);
-  const method = req.method.toUpperCase();
-  const pathname = parsed.pathname;
-
-  if (method === 'GET' && pathname === '/') return { handler: handleInfo };
-  if (method === 'GET' && pathname === '/api/ping') return { handler: handlePing, sats: 1, desc: 'Ping' };
-  if (method === 'GET' && pathname === '/api/quote') return { handler: handleQuote, sats: 5, desc: 'Random quote' };
-  if (method === 'GET' && pathname.startsWith('/api/trust/')) return { handler: handleTrust, sats: 10, desc: 'Trust lookup', params: { pubkey: pathname.split('/')[3] } };
-  if (method === 'GET' && pathname === '/api/haiku') return { handler: handleHaiku, sats: 21, desc: 'Original haiku' };
-
-  return null;
-}
-
 // --- Handlers ---
 
 function handleInfo(req, res) {
@@ -257,13 +300,8 @@ function handleInfo(req, res) {
     name: 'Jeletor L402 Demo Server',
     description: 'Lightning-paywalled API endpoints. Pay per request, no accounts, no API keys.',
     protocol: 'L402 (HTTP 402 + Lightning Network)',
-    endpoints: [
-      { method: 'GET', path: '/', sats: 0, description: 'This info page (free)' },
-      { method: 'GET', path: '/api/ping', sats: 1, description: 'Timestamped pong (cheapest test)' },
-      { method: 'GET', path: '/api/quote', sats: 5, description: 'Random quote from my reading list' },
-      { method: 'GET', path: '/api/trust/:pubkey', sats: 10, description: 'ai.wot trust score for a Nostr pubkey' },
-      { method: 'GET', path: '/api/haiku', sats: 21, description: 'Original haiku (generated per request)' },
-    ],
+    endpoints: gate.routes,
+    discovery: '/.well-known/l402',
     trust_discount: 'Agents with ai.wot score >= 30 get 50% off. Pass X-Nostr-Pubkey header.',
     client_example: "const { l402Fetch } = require('l402-agent'); const res = await l402Fetch('https://l402.jeletor.cc/api/ping', { wallet });",
     packages: {
@@ -295,8 +333,8 @@ function handleQuote(req, res) {
   }));
 }
 
-async function handleTrust(req, res, params) {
-  const pubkey = params.pubkey;
+async function handleTrust(req, res) {
+  const pubkey = req.l402Route.params.pubkey;
   if (!pubkey || !/^[0-9a-fA-F]{64}$/.test(pubkey)) {
     res.writeHead(400, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Invalid pubkey. Must be 64-char hex.' }));
@@ -385,62 +423,43 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  const matched = route(req);
-  
-  if (!matched) {
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Not found', hint: 'Try GET / for available endpoints' }));
-    return;
-  }
-
-  // Free endpoint
-  if (!matched.sats) {
-    matched.handler(req, res);
-    return;
-  }
+  // Gate the request by the route table (free routes pass straight through)
+  gate(req, res, (err) => {
+    if (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Internal error', message: err.message }));
+      return;
+    }
 
-  // Check trust discount
-  let sats = matched.sats;
-  const nostrPubkey = req.headers['x-nostr-pubkey'];
-  let trustScore = 0;
-  if (nostrPubkey) {
-    trustScore = await getTrustScore(nostrPubkey);
-    if (trustScore >= 30) {
-      sats = Math.max(1, Math.floor(sats / 2));
+    if (!req.l402Route) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found', hint: 'Try GET / for available endpoints' }));
+      return;
     }
-  }
 
-  // Apply L402 middleware
-  const w = getWallet();
-  const middleware = l402({ 
-    wallet: w, 
-    amountSats: sats, 
-    description: matched.desc,
-    expirySeconds: 300 
-  });
+    const handler = HANDLERS[req.l402Route.key];
 
-  middleware(req, res, () => {
-    // Attach trust info
-    if (trustScore > 0) {
-      req.l402.trustScore = trustScore;
-      req.l402.discounted = trustScore >= 30;
+    // Free endpoint
+    if (!req.l402) {
+      handler(req, res);
+      return;
     }
-    matched.handler(req, res, matched.params);
 
-    // Auto-attest if we know who they are
-    if (nostrPubkey && /^[0-9a-fA-F]{64}$/.test(nostrPubkey)) {
-      l402Attest(nostrPubkey, matched.desc, sats).catch(function() {});
+    // Attach trust info
+    if (req.trustScore > 0) {
+      req.l402.trustScore = req.trustScore;
+      req.l402.discounted = req.trustScore >= 30;
     }
+    handler(req, res);
   });
 });
 
 server.listen(PORT, () => {
   console.log(`⚡ Jeletor L402 Demo Server running on port ${PORT}`);
-  console.log(`  GET /              — free info`);
-  console.log(`  GET /api/ping      — 1 sat`);
-  console.log(`  GET /api/quote     — 5 sats`);
-  console.log(`  GET /api/trust/:pk — 10 sats`);
-  console.log(`  GET /api/haiku     — 21 sats`);
+  for (const r of gate.routes) {
+    console.log(`  ${(r.method + ' ' + r.path).padEnd(26)} — ${r.sats ? priceLabel(r.sats) : 'free'}`);
+  }
+  console.log(`  Catalog: GET /.well-known/l402`);
   console.log(`  Trust discount: ai.wot >= 30 → 50% off`);
   console.log();
 });
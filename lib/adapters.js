@@ -0,0 +1,129 @@
+'use strict';
+
+const { createL402Core } = require('./core');
+
+/**
+ * Framework Adapters
+ *
+ * l402() is Connect-style. These wrap the same paywall (createL402Core,
+ * same options) for other servers:
+ *
+ *   Koa       app.use(l402Koa(opts))                 → ctx.state.l402
+ *   Fastify   { preHandler: l402Fastify(opts) }      → request.l402
+ *   fetch     l402Handler(opts, (request) => ...)    → request.l402
+ *             (Hono, Bun, Deno, Workers, Next.js route handlers)
+ *
+ * Pricing and description functions receive the framework's own request
+ * object: the Koa context, the Fastify request or the fetch Request. Like
+ * l402(), each returned function carries the paywall's `.terms` and `.events`.
+ */
+
+/**
+ * Koa middleware.
+ * @param {object} opts - Paywall options (see createL402Core)
+ * @returns {function} async (ctx, next)
+ */
+function l402Koa(opts = {}) {
+  const core = createL402Core(opts);
+
+  async function l402KoaMiddleware(ctx, next) {
+    const outcome = await core.handle({
+      method: ctx.method,
+      url: ctx.originalUrl || ctx.url,
+      headers: ctx.headers,
+      raw: ctx
+    });
+
+    ctx.set(outcome.headers);
+    if (outcome.paid) {
+      ctx.state.l402 = outcome.l402;
+      return next();
+    }
+    ctx.status = outcome.status;
+    ctx.body = outcome.body;
+  }
+
+  l402KoaMiddleware.terms = core.terms;
+  l402KoaMiddleware.events = core.events;
+  return l402KoaMiddleware;
+}
+
+/**
+ * Fastify preHandler hook, for a route's `preHandler` option or
+ * `fastify.addHook('preHandler', ...)`. Needs no middie or Express plugin.
+ * @param {object} opts - Paywall options (see createL402Core)
+ * @returns {function} async (request, reply)
+ */
+function l402Fastify(opts = {}) {
+  const core = createL402Core(opts);
+
+  async function l402FastifyHook(request, reply) {
+    const outcome = await core.handle({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      raw: request
+    });
+
+    reply.headers(outcome.headers);
+    if (outcome.paid) {
+      request.l402 = outcome.l402;
+      return;
+    }
+    // Returning the reply after send() stops the route handler from running
+    reply.code(outcome.status).send(outcome.body);
+    return reply;
+  }
+
+  l402FastifyHook.terms = core.terms;
+  l402FastifyHook.events = core.events;
+  return l402FastifyHook;
+}
+
+/**
+ * Wrap a fetch-style handler, (Request, ...rest) => Response. Paid requests
+ * reach the handler with `request.l402` set; headers such as
+ * L402-Remaining-Calls are added to its response.
+ * @param {object} opts - Paywall options (see createL402Core)
+ * @param {function} handler - (request, ...rest) => Response | Promise<Response>
+ * @returns {function} async (request, ...rest) => Response
+ */
+function l402Handler(opts, handler) {
+  if (typeof handler !== 'function') {
+    throw new Error('l402Handler requires a handler function');
+  }
+  const core = createL402Core(opts);
+
+  async function l402FetchHandler(request, ...rest) {
+    const url = new URL(request.url);
+    const outcome = await core.handle({
+      method: request.method,
+      url: url.pathname + url.search,
+      headers: Object.fromEntries(request.headers),
+      raw: request
+    });
+
+    if (!outcome.paid) {
+      return new Response(outcome.body, { status: outcome.status, headers: outcome.headers });
+    }
+
+    request.l402 = outcome.l402;
+    const response = await handler(request, ...rest);
+    if (!Object.keys(outcome.headers).length) return response;
+
+    // Responses from fetch() have immutable headers, so copy before adding ours
+    const headers = new Headers(response.headers);
+    for (const [name, value] of Object.entries(outcome.headers)) headers.set(name, value);
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+  }
+
+  l402FetchHandler.terms = core.terms;
+  l402FetchHandler.events = core.events;
+  return l402FetchHandler;
+}
+
+module.exports = {
+  l402Koa,
+  l402Fastify,
+  l402Handler
+};
@@ -0,0 +1,328 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * BOLT11 Invoice Decoding
+ *
+ * Dependency-free decoder for Lightning payment requests: bech32, amount
+ * multipliers and the tagged fields a payer needs to check before paying
+ * (payment hash, expiry, description, network). The signature is returned
+ * but not verified.
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+const NETWORKS = {
+  bc: 'bitcoin',
+  tb: 'testnet',
+  tbs: 'signet',
+  bcrt: 'regtest',
+  sb: 'simnet'
+};
+const PREFIXES = Object.fromEntries(Object.entries(NETWORKS).map(([k, v]) => [v, k]));
+
+// Millisatoshis per unit of the amount multiplier (1 BTC = 1e11 msat)
+const MULTIPLIERS = {
+  m: 100000000n,
+  u: 100000n,
+  n: 100n
+};
+
+const TAGS = {
+  p: 1,
+  s: 16,
+  d: 13,
+  h: 23,
+  x: 6,
+  n: 19,
+  c: 24
+};
+
+const DEFAULT_EXPIRY = 3600;
+const SIGNATURE_WORDS = 104;
+
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+function hrpExpand(hrp) {
+  const result = [];
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) >> 5);
+  result.push(0);
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) & 31);
+  return result;
+}
+
+function createChecksum(hrp, words) {
+  const mod = polymod(hrpExpand(hrp).concat(words, [0, 0, 0, 0, 0, 0])) ^ 1;
+  const result = [];
+  for (let i = 0; i < 6; i++) result.push((mod >>> (5 * (5 - i))) & 31);
+  return result;
+}
+
+function bech32Decode(str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+    throw new Error('Invoice has mixed case');
+  }
+  const lower = str.toLowerCase();
+  const sep = lower.lastIndexOf('1');
+  if (sep < 1 || sep + 7 > lower.length) throw new Error('Invoice has no bech32 separator');
+
+  const hrp = lower.substring(0, sep);
+  const words = [];
+  for (const ch of lower.substring(sep + 1)) {
+    const v = CHARSET.indexOf(ch);
+    if (v === -1) throw new Error(`Invoice has invalid character "${ch}"`);
+    words.push(v);
+  }
+  if (polymod(hrpExpand(hrp).concat(words)) !== 1) throw new Error('Invoice checksum is invalid');
+
+  return { hrp, words: words.slice(0, -6) };
+}
+
+function bech32Encode(hrp, words) {
+  return `${hrp}1${words.concat(createChecksum(hrp, words)).map(w => CHARSET[w]).join('')}`;
+}
+
+function wordsToBuffer(words) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  for (const w of words) {
+    acc = (acc << 5) | w;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      out.push((acc >> bits) & 0xff);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  return Buffer.from(out);
+}
+
+function bufferToWords(buf) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  for (const byte of buf) {
+    acc = (acc << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      out.push((acc >> bits) & 31);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (bits > 0) out.push((acc << (5 - bits)) & 31);
+  return out;
+}
+
+function wordsToInt(words) {
+  return words.reduce((n, w) => n * 32 + w, 0);
+}
+
+function intToWords(n, minLength = 1) {
+  const words = [];
+  while (n > 0) {
+    words.unshift(n % 32);
+    n = Math.floor(n / 32);
+  }
+  while (words.length < minLength) words.unshift(0);
+  return words;
+}
+
+/**
+ * Parse the human-readable part: "ln" + network prefix + optional amount.
+ * @param {string} hrp
+ * @returns {{ network: string, amountMsat: bigint | null }}
+ */
+function parseHrp(hrp) {
+  const match = /^ln(bcrt|bc|tbs|tb|sb)(\d+)?([munp])?$/.exec(hrp);
+  if (!match) throw new Error(`Unknown invoice prefix "${hrp}"`);
+
+  const [, prefix, digits, multiplier] = match;
+  if (!digits) {
+    if (multiplier) throw new Error('Invoice amount has a multiplier but no value');
+    return { network: NETWORKS[prefix], amountMsat: null };
+  }
+  if (digits.length > 1 && digits[0] === '0') throw new Error('Invoice amount has leading zeros');
+
+  const value = BigInt(digits);
+  let amountMsat;
+  if (!multiplier) {
+    amountMsat = value * 100000000000n;
+  } else if (multiplier === 'p') {
+    if (value % 10n !== 0n) throw new Error('Invoice pico-BTC amount is not a whole millisatoshi');
+    amountMsat = value / 10n;
+  } else {
+    amountMsat = value * MULTIPLIERS[multiplier];
+  }
+  return { network: NETWORKS[prefix], amountMsat };
+}
+
+/**
+ * Decode a BOLT11 payment request.
+ *
+ * @param {string} invoice - The payment request (with or without "lightning:" prefix)
+ * @returns {{
+ *   network: string,
+ *   amountMsat: number|null,
+ *   amountSats: number|null,
+ *   timestamp: number,
+ *   expiry: number,
+ *   expiresAt: number,
+ *   paymentHash: string|null,
+ *   paymentSecret: string|null,
+ *   description: string|null,
+ *   descriptionHash: string|null,
+ *   payeeNodeKey: string|null,
+ *   minFinalCltvExpiry: number|null,
+ *   signature: string
+ * }}
+ */
+function decodeInvoice(invoice) {
+  if (typeof invoice !== 'string' || !invoice) throw new Error('Invoice must be a non-empty string');
+
+  let str = invoice.trim();
+  if (str.toLowerCase().startsWith('lightning:')) str = str.substring(10);
+
+  const { hrp, words } = bech32Decode(str);
+  const { network, amountMsat } = parseHrp(hrp);
+  if (words.length < 7 + SIGNATURE_WORDS) throw new Error('Invoice is too short');
+
+  const timestamp = wordsToInt(words.slice(0, 7));
+  const signature = wordsToBuffer(words.slice(words.length - SIGNATURE_WORDS));
+  const data = words.slice(7, words.length - SIGNATURE_WORDS);
+
+  const decoded = {
+    network,
+    amountMsat: amountMsat === null ? null : Number(amountMsat),
+    // Round up so a limit check never under-counts a fractional sat
+    amountSats: amountMsat === null ? null : Number((amountMsat + 999n) / 1000n),
+    timestamp,
+    expiry: DEFAULT_EXPIRY,
+    expiresAt: null,
+    paymentHash: null,
+    paymentSecret: null,
+    description: null,
+    descriptionHash: null,
+    payeeNodeKey: null,
+    minFinalCltvExpiry: null,
+    signature: signature.toString('hex')
+  };
+
+  let pos = 0;
+  while (pos + 3 <= data.length) {
+    const type = data[pos];
+    const length = data[pos + 1] * 32 + data[pos + 2];
+    const fieldWords = data.slice(pos + 3, pos + 3 + length);
+    if (fieldWords.length !== length) throw new Error('Invoice tagged field is truncated');
+    pos += 3 + length;
+
+    // Fields with the wrong length are skipped, as BOLT11 requires
+    switch (type) {
+      case TAGS.p:
+        if (length === 52 && decoded.paymentHash === null) decoded.paymentHash = wordsToBuffer(fieldWords).toString('hex');
+        break;
+      case TAGS.s:
+        if (length === 52 && decoded.paymentSecret === null) decoded.paymentSecret = wordsToBuffer(fieldWords).toString('hex');
+        break;
+      case TAGS.h:
+        if (length === 52) decoded.descriptionHash = wordsToBuffer(fieldWords).toString('hex');
+        break;
+      case TAGS.n:
+        if (length === 53) decoded.payeeNodeKey = wordsToBuffer(fieldWords).toString('hex');
+        break;
+      case TAGS.d:
+        decoded.description = wordsToBuffer(fieldWords).toString('utf8');
+        break;
+      case TAGS.x:
+        decoded.expiry = wordsToInt(fieldWords);
+        break;
+      case TAGS.c:
+        decoded.minFinalCltvExpiry = wordsToInt(fieldWords);
+        break;
+      default:
+        break;
+    }
+  }
+
+  decoded.expiresAt = (timestamp + decoded.expiry) * 1000;
+  return decoded;
+}
+
+/**
+ * Encode an amount in millisatoshis as the shortest hrp amount.
+ * @param {bigint} msat
+ * @returns {string}
+ */
+function encodeAmount(msat) {
+  if (msat % 100000000000n === 0n) return String(msat / 100000000000n);
+  for (const [multiplier, unit] of Object.entries(MULTIPLIERS)) {
+    if (msat % unit === 0n) return `${msat / unit}${multiplier}`;
+  }
+  return `${msat * 10n}p`;
+}
+
+function taggedField(type, words) {
+  return [type, Math.floor(words.length / 32), words.length % 32, ...words];
+}
+
+/**
+ * Encode a BOLT11 invoice. The signature is zero-filled, so the result
+ * decodes correctly but is not payable on a real network — it is meant for
+ * mock wallets and tests.
+ *
+ * @param {object} fields
+ * @param {string} fields.paymentHash - Hex payment hash (32 bytes)
+ * @param {number} [fields.amountSats] - Amount in sats (omit for an amountless invoice)
+ * @param {number} [fields.amountMsat] - Amount in millisats (takes precedence over amountSats)
+ * @param {string} [fields.network='bitcoin'] - bitcoin, testnet, signet, regtest or simnet
+ * @param {string} [fields.description] - Description
+ * @param {number} [fields.expiry] - Expiry in seconds (default 3600 when omitted)
+ * @param {number} [fields.timestamp] - Unix seconds (default: now)
+ * @param {string} [fields.paymentSecret] - Hex payment secret (default: random)
+ * @returns {string}
+ */
+function encodeInvoice(fields) {
+  const network = fields.network || 'bitcoin';
+  const prefix = PREFIXES[network];
+  if (!prefix) throw new Error(`Unknown network "${network}"`);
+
+  const hash = Buffer.from(fields.paymentHash || '', 'hex');
+  if (hash.length !== 32) throw new Error('encodeInvoice needs a 32-byte paymentHash');
+
+  let msat = null;
+  if (fields.amountMsat !== undefined && fields.amountMsat !== null) msat = BigInt(fields.amountMsat);
+  else if (fields.amountSats !== undefined && fields.amountSats !== null) msat = BigInt(fields.amountSats) * 1000n;
+
+  const hrp = `ln${prefix}${msat ? encodeAmount(msat) : ''}`;
+  const timestamp = fields.timestamp !== undefined ? fields.timestamp : Math.floor(Date.now() / 1000);
+  const secret = fields.paymentSecret
+    ? Buffer.from(fields.paymentSecret, 'hex')
+    : crypto.randomBytes(32);
+
+  const words = intToWords(timestamp, 7);
+  words.push(...taggedField(TAGS.p, bufferToWords(hash)));
+  words.push(...taggedField(TAGS.s, bufferToWords(secret)));
+  words.push(...taggedField(TAGS.d, bufferToWords(Buffer.from(fields.description || '', 'utf8'))));
+  if (fields.expiry !== undefined) words.push(...taggedField(TAGS.x, intToWords(fields.expiry)));
+  words.push(...new Array(SIGNATURE_WORDS).fill(0));
+
+  return bech32Encode(hrp, words);
+}
+
+module.exports = {
+  decodeInvoice,
+  encodeInvoice
+};
@@ -0,0 +1,225 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Client Spending Budgets
+ *
+ * Caps what an L402 client may pay across calls, not just per invoice:
+ * rolling hourly and daily totals, per-host totals and a lifetime total.
+ * Payments are reserved before the wallet is asked to pay and released
+ * again if the payment fails, so concurrent requests can't overshoot.
+ *
+ * With `filePath`, counters are snapshotted to disk after every change
+ * and reloaded on startup, so a restart doesn't hand out a fresh budget.
+ */
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+const LIMITS = ['hourlySats', 'dailySats', 'perHostSats', 'lifetimeSats'];
+const WINDOWS = ['hourly', 'daily', 'host', 'lifetime'];
+
+function isValidLimit(value) {
+  return value === undefined || value === null || (Number.isFinite(value) && value >= 0);
+}
+
+class SpendingBudget {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.hourlySats] - Max sats paid in any rolling hour
+   * @param {number} [opts.dailySats] - Max sats paid in any rolling 24 hours
+   * @param {number} [opts.perHostSats] - Max sats paid to any one host
+   * @param {object} [opts.hosts] - Per-host caps overriding perHostSats, e.g. { 'api.example.com': 500 }
+   * @param {number} [opts.lifetimeSats] - Max sats paid in total
+   * @param {string} [opts.filePath] - Persist counters to this JSON file
+   */
+  constructor(opts = {}) {
+    this.limits = {};
+    this.hosts = {};
+    this.setLimits(opts);
+
+    this.filePath = opts.filePath || null;
+    this.spends = [];
+    this.hostSats = {};
+    this.lifetimeSats = 0;
+    // Spends are numbered so a window reset can exclude everything before it
+    this.seq = 0;
+    this.resets = { hourly: 0, daily: 0 };
+    this.load();
+  }
+
+  /**
+   * Change limits at runtime. Only the limits given are updated; pass
+   * `null` to remove one.
+   * @param {object} limits - Same shape as the constructor options
+   */
+  setLimits(limits) {
+    for (const name of LIMITS) {
+      if (!(name in limits)) continue;
+      if (!isValidLimit(limits[name])) throw new Error(`SpendingBudget: ${name} must be a non-negative number`);
+      this.limits[name] = limits[name] ?? null;
+    }
+    if (limits.hosts) {
+      for (const [host, sats] of Object.entries(limits.hosts)) {
+        if (!isValidLimit(sats)) throw new Error(`SpendingBudget: limit for ${host} must be a non-negative number`);
+        if (sats === null) delete this.hosts[host];
+        else this.hosts[host] = sats;
+      }
+    }
+  }
+
+  load() {
+    if (!this.filePath) return;
+    let text;
+    try {
+      text = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    const state = JSON.parse(text);
+    this.spends = state.spends || [];
+    this.hostSats = state.hostSats || {};
+    this.lifetimeSats = state.lifetimeSats || 0;
+    this.seq = state.seq || 0;
+    this.resets = { ...this.resets, ...state.resets };
+  }
+
+  save() {
+    if (!this.filePath) return;
+    const state = {
+      spends: this.spends,
+      hostSats: this.hostSats,
+      lifetimeSats: this.lifetimeSats,
+      seq: this.seq,
+      resets: this.resets
+    };
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // Sats paid in the last `windowMs`, excluding anything before a window reset
+  windowSats(windowMs, resetSeq, now) {
+    let total = 0;
+    for (const spend of this.spends) {
+      if (spend.at > now - windowMs && spend.seq > resetSeq) total += spend.sats;
+    }
+    return total;
+  }
+
+  hostLimit(host) {
+    return host in this.hosts ? this.hosts[host] : this.limits.perHostSats;
+  }
+
+  /**
+   * Sats spent so far, per window.
+   * @param {string} [host] - Include this host's total
+   * @returns {{ hourly: number, daily: number, host: number|null, lifetime: number }}
+   */
+  spent(host, now = Date.now()) {
+    return {
+      hourly: this.windowSats(HOUR_MS, this.resets.hourly, now),
+      daily: this.windowSats(DAY_MS, this.resets.daily, now),
+      host: host ? this.hostSats[host] || 0 : null,
+      lifetime: this.lifetimeSats
+    };
+  }
+
+  /**
+   * Sats left in each capped window (null where there is no cap).
+   * @param {string} [host] - Include this host's remaining cap
+   * @returns {{ hourly: number|null, daily: number|null, host: number|null, lifetime: number|null }}
+   */
+  remaining(host, now = Date.now()) {
+    const spent = this.spent(host, now);
+    const left = (limit, used) => (limit === null || limit === undefined ? null : Math.max(0, limit - used));
+    return {
+      hourly: left(this.limits.hourlySats, spent.hourly),
+      daily: left(this.limits.dailySats, spent.daily),
+      host: host ? left(this.hostLimit(host), spent.host) : null,
+      lifetime: left(this.limits.lifetimeSats, spent.lifetime)
+    };
+  }
+
+  /**
+   * Check a payment against every cap without reserving it.
+   * @param {string} host - Host being paid
+   * @param {number} sats - Invoice amount
+   * @returns {string|null} Why reserve() would refuse the payment, or null if it fits
+   */
+  check(host, sats, now = Date.now()) {
+    const remaining = this.remaining(host, now);
+    const names = { hourly: 'hourly', daily: 'daily', host: `per-host (${host})`, lifetime: 'lifetime' };
+    for (const window of WINDOWS) {
+      if (remaining[window] !== null && sats > remaining[window]) {
+        return `L402 payment of ${sats} sats exceeds the ${names[window]} budget (${remaining[window]} sats left)`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reserve sats for a payment, or throw if any cap would be exceeded.
+   * @param {string} host - Host being paid
+   * @param {number} sats - Invoice amount
+   * @returns {object} Reservation to pass to release() if the payment fails
+   */
+  reserve(host, sats, now = Date.now()) {
+    const refusal = this.check(host, sats, now);
+    if (refusal) throw new Error(refusal);
+
+    const reservation = { seq: ++this.seq, at: now, host, sats };
+    this.spends.push(reservation);
+    this.hostSats[host] = (this.hostSats[host] || 0) + sats;
+    this.lifetimeSats += sats;
+    this.prune(now);
+    this.save();
+    return reservation;
+  }
+
+  /**
+   * Give back a reservation whose payment didn't go through.
+   * @param {object} reservation - As returned by reserve()
+   */
+  release(reservation) {
+    const idx = this.spends.indexOf(reservation);
+    if (idx === -1) return;
+    this.spends.splice(idx, 1);
+    // Counters may have been reset since the reservation was made
+    const hostSats = Math.max(0, (this.hostSats[reservation.host] || 0) - reservation.sats);
+    if (hostSats) this.hostSats[reservation.host] = hostSats;
+    else delete this.hostSats[reservation.host];
+    this.lifetimeSats = Math.max(0, this.lifetimeSats - reservation.sats);
+    this.save();
+  }
+
+  /**
+   * Reset counters: one of 'hourly', 'daily', 'host' or 'lifetime', or all
+   * of them when called without arguments.
+   * @param {string} [window]
+   * @param {string} [host] - With 'host', reset only this host
+   */
+  reset(window, host, now = Date.now()) {
+    if (window && !WINDOWS.includes(window)) throw new Error(`SpendingBudget: unknown window "${window}"`);
+    if (!window || window === 'hourly') this.resets.hourly = this.seq;
+    if (!window || window === 'daily') this.resets.daily = this.seq;
+    if (!window || window === 'host') {
+      if (host) delete this.hostSats[host];
+      else this.hostSats = {};
+    }
+    if (!window || window === 'lifetime') this.lifetimeSats = 0;
+    this.prune(now);
+    this.save();
+  }
+
+  // Spends older than a day no longer count towards any rolling window
+  prune(now) {
+    this.spends = this.spends.filter(spend => spend.at > now - DAY_MS && spend.seq > this.resets.daily);
+  }
+}
+
+module.exports = {
+  SpendingBudget
+};
@@ -0,0 +1,247 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Credential Cache Storage
+ *
+ * CredentialCache keeps its entries in a storage adapter passed as
+ * `opts.storage`. The adapter is synchronous and Map-shaped, so a plain
+ * `new Map()` (the default) is a valid in-memory adapter:
+ *
+ *   get(key)          → entry | undefined
+ *   set(key, entry)   → this
+ *   delete(key)       → boolean
+ *   clear()           → void
+ *   keys()            → iterator of keys, oldest first
+ *   entries()         → iterator of [key, entry], oldest first
+ *   size              → number
+ *   touch(key)        → optional: mark an entry most recently used
+ *
+ * FileCacheStorage persists entries to a JSON file so paid credentials
+ * survive restarts. Preimages are encrypted at rest with AES-256-GCM, and
+ * writes take a lock file and replace the file atomically, so several
+ * processes on one machine can share the same cache file.
+ *
+ * The adapter is synchronous, so waiting for another process's lock blocks
+ * the event loop. A lock is only held for one small file write, so the wait
+ * is short, and `lockTimeoutMs` bounds it: keep it small.
+ */
+
+const FILE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+// Block the thread briefly without spinning the CPU (this stalls the event loop too)
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+function sleepSync(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+/**
+ * Normalize an encryption key given as a Buffer or hex string.
+ * @param {Buffer|string} key
+ * @returns {Buffer}
+ */
+function normalizeEncryptionKey(key) {
+  const buf = typeof key === 'string' && /^[0-9a-fA-F]{64}$/.test(key)
+    ? Buffer.from(key, 'hex')
+    : Buffer.isBuffer(key) ? key : null;
+  if (!buf || buf.length !== 32) {
+    throw new Error('FileCacheStorage requires a 32-byte encryptionKey (Buffer or 64-char hex string)');
+  }
+  return buf;
+}
+
+class FileCacheStorage {
+  /**
+   * @param {string} filePath - Path of the cache file (created if missing)
+   * @param {object} opts
+   * @param {Buffer|string} opts.encryptionKey - 32-byte key preimages are encrypted with (Buffer or hex)
+   * @param {number} [opts.lockTimeoutMs=250] - How long to wait for another process's lock,
+   *   blocking the event loop meanwhile
+   * @param {number} [opts.staleLockMs=30000] - Break locks older than this (left by a crashed process)
+   */
+  constructor(filePath, opts = {}) {
+    if (!filePath) throw new Error('FileCacheStorage requires a file path');
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.encryptionKey = normalizeEncryptionKey(opts.encryptionKey);
+    this.lockTimeoutMs = opts.lockTimeoutMs || 250;
+    this.staleLockMs = opts.staleLockMs || 30000;
+    this.map = new Map();
+    this.version = null;
+    this.refresh();
+  }
+
+  // The key is bound in as associated data, so a ciphertext can't be moved to another entry
+  seal(key, preimage) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.encryptionKey, iv);
+    cipher.setAAD(Buffer.from(key, 'utf8'));
+    const data = Buffer.concat([cipher.update(preimage, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join(':');
+  }
+
+  open(key, sealed) {
+    const [iv, tag, data] = sealed.split(':').map(s => Buffer.from(s, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, this.encryptionKey, iv);
+    decipher.setAAD(Buffer.from(key, 'utf8'));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Reload entries if another process has replaced the file since we last
+   * read or wrote it.
+   */
+  refresh() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.map.clear();
+      this.version = null;
+      return;
+    }
+    const version = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    if (version === this.version) return;
+
+    const map = new Map();
+    let state = { entries: [] };
+    try {
+      state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return this.refresh();
+      // A corrupt file is treated as empty and overwritten by the next write
+    }
+    for (const [key, stored] of state.entries || []) {
+      try {
+        map.set(key, { ...stored, preimage: this.open(key, stored.preimage) });
+      } catch {
+        // Encrypted with another key or tampered with: unusable, so skip it
+      }
+    }
+    this.map = map;
+    this.version = version;
+  }
+
+  persist() {
+    const entries = [];
+    for (const [key, entry] of this.map) {
+      entries.push([key, { ...entry, preimage: this.seal(key, entry.preimage) }]);
+    }
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: FILE_VERSION, entries }), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+    const stat = fs.statSync(this.filePath);
+    this.version = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+  }
+
+  lock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(this.lockPath, 'wx'));
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      try {
+        if (Date.now() - fs.statSync(this.lockPath).mtimeMs > this.staleLockMs) {
+          fs.unlinkSync(this.lockPath);
+          continue;
+        }
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        throw err;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`FileCacheStorage: timed out waiting for lock ${this.lockPath}`);
+      }
+      sleepSync(5);
+    }
+  }
+
+  unlock() {
+    try {
+      fs.unlinkSync(this.lockPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  // Read-modify-write under the lock, starting from the latest file contents
+  mutate(fn) {
+    this.lock();
+    try {
+      this.refresh();
+      const result = fn(this.map);
+      this.persist();
+      return result;
+    } finally {
+      this.unlock();
+    }
+  }
+
+  get(key) {
+    this.refresh();
+    const entry = this.map.get(key);
+    return entry ? { ...entry } : undefined;
+  }
+
+  has(key) {
+    this.refresh();
+    return this.map.has(key);
+  }
+
+  set(key, entry) {
+    this.mutate(map => map.set(key, { ...entry }));
+    return this;
+  }
+
+  // Recency only orders this process's evictions: reorder in memory rather
+  // than rewriting the file on every cache hit
+  touch(key) {
+    const entry = this.map.get(key);
+    if (entry === undefined) return false;
+    this.map.delete(key);
+    this.map.set(key, entry);
+    return true;
+  }
+
+  delete(key) {
+    this.refresh();
+    if (!this.map.has(key)) return false;
+    return this.mutate(map => map.delete(key));
+  }
+
+  clear() {
+    this.mutate(map => map.clear());
+  }
+
+  get size() {
+    this.refresh();
+    return this.map.size;
+  }
+
+  // Iterators work on a snapshot, so callers may delete while iterating
+  keys() {
+    this.refresh();
+    return [...this.map.keys()][Symbol.iterator]();
+  }
+
+  entries() {
+    this.refresh();
+    return [...this.map].map(([key, entry]) => [key, { ...entry }])[Symbol.iterator]();
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+module.exports = {
+  FileCacheStorage
+};
@@ -5,12 +5,63 @@
  * 
  * Stores paid L402 credentials (macaroon + preimage) for reuse.
  * Credentials are cached by URL and expire when the macaroon expires.
+ *
+ * A credential may be scoped wider than the URL it was paid for:
+ *   { type: 'prefix', pathPrefix: '/api/' } — every path under the prefix
+ *   { type: 'service' }                     — every path on the origin
+ *
+ * Entries live in a Map-shaped storage adapter (see cache-storage.js):
+ * a plain Map by default, or a FileCacheStorage to keep paid credentials
+ * across restarts. Storage order is recency order: a hit moves its entry
+ * to the end, so eviction takes the least recently used entry first.
  */
 
+const COUNTERS = ['hits', 'misses', 'evictions', 'expirations', 'invalidations', 'satsSaved'];
+
+function emptyCounters() {
+  return Object.fromEntries(COUNTERS.map(name => [name, 0]));
+}
+
+/**
+ * Origin a cache key belongs to, e.g. "GET:https://a.com/x" → "https://a.com".
+ * @param {string} key
+ * @returns {string}
+ */
+function keyOrigin(key) {
+  return new URL(key.replace(/^[A-Z]+:(?=[a-z][a-z0-9+.-]*:\/\/)/, '')).origin;
+}
+
+/**
+ * Cache key for a credential: the URL's path (or scope) without the query string.
+ * @param {string} url - The request URL
+ * @param {string} [method] - HTTP method (for method-specific caching)
+ * @param {object} [scope] - Credential scope ({ type: 'prefix', pathPrefix } or { type: 'service' })
+ * @returns {string}
+ */
+function credentialKey(url, method, scope) {
+  // Normalize URL: remove query string for caching (credentials usually work across queries)
+  const parsed = new URL(url);
+  if (scope && scope.type === 'service') return `${parsed.origin}/*`;
+
+  const path = scope && scope.type === 'prefix' ? `${scope.pathPrefix}*` : parsed.pathname;
+  const normalized = `${parsed.origin}${path}`;
+  return method ? `${method}:${normalized}` : normalized;
+}
+
 class CredentialCache {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxSize=1000] - Max entries
+   * @param {number} [opts.defaultTtlMs=3600000] - TTL for credentials without a valid_until caveat
+   * @param {number} [opts.maxPerOrigin] - Max entries for any one origin
+   * @param {object} [opts.storage] - Storage adapter (default: in-memory Map)
+   */
   constructor(opts = {}) {
-    this.cache = new Map();
+    this.cache = opts.storage || new Map();
     this.maxSize = opts.maxSize || 1000;
+    this.maxPerOrigin = opts.maxPerOrigin || null;
+    this.counters = emptyCounters();
+    this.originCounters = new Map();
     this.defaultTtlMs = opts.defaultTtlMs || 3600000; // 1 hour default
     
     // Cleanup expired entries periodically
@@ -22,13 +73,87 @@ class CredentialCache {
    * Generate a cache key from URL and optional scope.
    * @param {string} url - The request URL
    * @param {string} [method] - HTTP method (for method-specific caching)
+   * @param {object} [scope] - Credential scope ({ type: 'prefix', pathPrefix } or { type: 'service' })
    * @returns {string}
    */
-  key(url, method) {
-    // Normalize URL: remove query string for caching (credentials usually work across queries)
+  key(url, method, scope) {
+    return credentialKey(url, method, scope);
+  }
+
+  /**
+   * Every key a credential for this URL could be stored under, most specific first:
+   * the exact path, each enclosing path prefix, then the whole origin.
+   * @param {string} url
+   * @param {string} [method]
+   * @returns {string[]}
+   */
+  candidateKeys(url, method) {
     const parsed = new URL(url);
-    const normalized = `${parsed.origin}${parsed.pathname}`;
-    return method ? `${method}:${normalized}` : normalized;
+    const prefix = method ? `${method}:` : '';
+    const keys = [this.key(url, method)];
+
+    const segments = parsed.pathname.split('/');
+    for (let i = segments.length - 1; i >= 1; i--) {
+      keys.push(`${prefix}${parsed.origin}${segments.slice(0, i).join('/')}/*`);
+    }
+    keys.push(`${parsed.origin}/*`);
+    return keys;
+  }
+
+  /**
+   * Add to a counter, overall and for an origin.
+   * @param {string} name - One of hits, misses, evictions, expirations, invalidations, satsSaved
+   * @param {string} origin
+   * @param {number} [amount=1]
+   */
+  count(name, origin, amount = 1) {
+    this.counters[name] += amount;
+    let counters = this.originCounters.get(origin);
+    if (!counters) {
+      counters = emptyCounters();
+      this.originCounters.set(origin, counters);
+    }
+    counters[name] += amount;
+  }
+
+  /**
+   * Remove an entry, counting why.
+   * @param {string} k
+   * @param {string} reason - evictions, expirations or invalidations
+   */
+  remove(k, reason) {
+    if (this.cache.delete(k)) this.count(reason, keyOrigin(k));
+  }
+
+  /**
+   * Find the most specific valid entry for a URL, dropping expired ones.
+   * @returns {[string, object] | null}
+   */
+  lookup(url, method) {
+    for (const k of this.candidateKeys(url, method)) {
+      const entry = this.cache.get(k);
+      if (!entry) continue;
+
+      // Check expiry
+      if (entry.expiresAt && Date.now() > entry.expiresAt) {
+        this.remove(k, 'expirations');
+        continue;
+      }
+      return [k, entry];
+    }
+    return null;
+  }
+
+  /**
+   * Least recently used key, optionally among one origin's keys.
+   * @param {string} [origin]
+   * @returns {string|undefined}
+   */
+  leastRecentlyUsed(origin) {
+    for (const k of this.cache.keys()) {
+      if (!origin || keyOrigin(k) === origin) return k;
+    }
+    return undefined;
   }
   
   /**
@@ -37,22 +162,40 @@ class CredentialCache {
    * @param {object} credential
    * @param {string} credential.macaroon - The macaroon token
    * @param {string} credential.preimage - The payment preimage
+   * @param {string} [credential.scheme] - Authorization scheme it was issued under (default L402)
    * @param {number} [credential.expiresAt] - Expiry timestamp (ms)
+   * @param {object} [credential.scope] - Paths the credential is valid for beyond `url`
+   * @param {number} [credential.amountSats] - What the credential cost (counted as saved on reuse)
    * @param {string} [method] - HTTP method scope
    */
   set(url, credential, method) {
-    const k = this.key(url, method);
-    
+    const k = this.key(url, method, credential.scope);
+    const origin = new URL(url).origin;
+
+    // Replacing an entry shouldn't evict anything else
+    this.cache.delete(k);
+
+    // Enforce the per-origin limit first, so a noisy origin evicts its own entries
+    if (this.maxPerOrigin) {
+      let count = 0;
+      for (const key of this.cache.keys()) {
+        if (keyOrigin(key) === origin) count++;
+      }
+      if (count >= this.maxPerOrigin) this.remove(this.leastRecentlyUsed(origin), 'evictions');
+    }
+
     // Enforce max size (LRU eviction)
     if (this.cache.size >= this.maxSize) {
-      const oldest = this.cache.keys().next().value;
-      this.cache.delete(oldest);
+      this.remove(this.leastRecentlyUsed(), 'evictions');
     }
     
     this.cache.set(k, {
       macaroon: credential.macaroon,
       preimage: credential.preimage,
+      scheme: credential.scheme || null,
       expiresAt: credential.expiresAt || Date.now() + this.defaultTtlMs,
+      scope: credential.scope || null,
+      amountSats: credential.amountSats ?? null,
       storedAt: Date.now()
     });
   }
@@ -61,25 +204,43 @@ class CredentialCache {
    * Get a valid credential for a URL.
    * @param {string} url - The URL to get credentials for
    * @param {string} [method] - HTTP method scope
-   * @returns {{ macaroon: string, preimage: string } | null}
+   * @returns {{ macaroon: string, preimage: string, scheme: string|null, amountSats: number|null } | null}
    */
   get(url, method) {
-    const k = this.key(url, method);
-    const entry = this.cache.get(k);
-    
-    if (!entry) return null;
-    
-    // Check expiry
-    if (entry.expiresAt && Date.now() > entry.expiresAt) {
-      this.cache.delete(k);
+    const origin = new URL(url).origin;
+    const found = this.lookup(url, method);
+    if (!found) {
+      this.count('misses', origin);
       return null;
     }
-    
+
+    // Move to the most recently used position
+    const [k, entry] = found;
+    if (typeof this.cache.touch === 'function') {
+      this.cache.touch(k);
+    } else {
+      this.cache.delete(k);
+      this.cache.set(k, entry);
+    }
+    this.count('hits', origin);
+
     return {
       macaroon: entry.macaroon,
-      preimage: entry.preimage
+      preimage: entry.preimage,
+      scheme: entry.scheme || null,
+      amountSats: entry.amountSats ?? null
     };
   }
+
+  /**
+   * Count sats saved by a request that reused a cached credential
+   * instead of paying again.
+   * @param {string} url
+   * @param {number} sats
+   */
+  recordSavings(url, sats) {
+    if (sats > 0) this.count('satsSaved', new URL(url).origin, sats);
+  }
   
   /**
    * Check if we have valid credentials for a URL.
@@ -88,7 +249,7 @@ class CredentialCache {
    * @returns {boolean}
    */
   has(url, method) {
-    return this.get(url, method) !== null;
+    return this.lookup(url, method) !== null;
   }
   
   /**
@@ -97,8 +258,8 @@ class CredentialCache {
    * @param {string} [method]
    */
   invalidate(url, method) {
-    const k = this.key(url, method);
-    this.cache.delete(k);
+    const found = this.lookup(url, method);
+    if (found) this.remove(found[0], 'invalidations');
   }
   
   /**
@@ -115,21 +276,43 @@ class CredentialCache {
     const now = Date.now();
     for (const [k, entry] of this.cache) {
       if (entry.expiresAt && now > entry.expiresAt) {
-        this.cache.delete(k);
+        this.remove(k, 'expirations');
       }
     }
   }
   
   /**
-   * Get cache statistics.
-   * @returns {{ size: number, hits: number, misses: number }}
+   * Get cache statistics, overall and per origin.
+   * @returns {{ size: number, maxSize: number, maxPerOrigin: number|null, hits: number, misses: number,
+   *   evictions: number, expirations: number, invalidations: number, satsSaved: number, byOrigin: object }}
    */
   stats() {
+    const byOrigin = {};
+    const forOrigin = origin => {
+      if (!byOrigin[origin]) {
+        byOrigin[origin] = { size: 0, ...(this.originCounters.get(origin) || emptyCounters()) };
+      }
+      return byOrigin[origin];
+    };
+    for (const origin of this.originCounters.keys()) forOrigin(origin);
+    for (const k of this.cache.keys()) forOrigin(keyOrigin(k)).size++;
+
     return {
       size: this.cache.size,
-      maxSize: this.maxSize
+      maxSize: this.maxSize,
+      maxPerOrigin: this.maxPerOrigin,
+      ...this.counters,
+      byOrigin
     };
   }
+
+  /**
+   * Zero the statistics counters (entries are kept).
+   */
+  resetStats() {
+    this.counters = emptyCounters();
+    this.originCounters.clear();
+  }
   
   /**
    * Close the cache and stop cleanup interval.
@@ -156,5 +339,6 @@ function getGlobalCache() {
 
 module.exports = {
   CredentialCache,
+  credentialKey,
   getGlobalCache
 };
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * WWW-Authenticate Challenges (RFC 7235)
+ *
+ * A WWW-Authenticate value is a comma-separated list of challenges, each an
+ * auth scheme followed by either a token68 or a list of auth-params. Commas
+ * separate both challenges and params, so a scheme is recognised by not
+ * being followed by "=". Several WWW-Authenticate headers are equivalent to
+ * one header with their values joined by commas (which is what
+ * `Headers.get()` returns), so the same parser handles both:
+ *
+ *   Bearer realm="api", L402 macaroon="AgEL...", invoice="lnbc..."
+ *   → [{ scheme: 'Bearer', params: { realm: 'api' }, token68: null },
+ *      { scheme: 'L402', params: { macaroon: 'AgEL...', invoice: 'lnbc...' }, token68: null }]
+ */
+
+const TOKEN = /[!#$%&'*+.^_`|~0-9A-Za-z-]+/y;
+const TOKEN68 = /[A-Za-z0-9\-._~+/]+=*[ \t]*(?=,|$)/y;
+// Unquoted values may also be base64 (token68: "/" and "=" padding), as macaroons often are
+const AUTH_PARAM = /([!#$%&'*+.^_`|~0-9A-Za-z-]+)[ \t]*=[ \t]*(?:"((?:[^"\\]|\\.)*)"|([!#$%&'*+.^_`|~0-9A-Za-z/-]+=*))/y;
+const SEPARATORS = /[ \t,]*/y;
+const SPACES = /[ \t]*/y;
+
+// Match a sticky regex at `pos`, returning the match or null
+function matchAt(re, str, pos) {
+  re.lastIndex = pos;
+  return re.exec(str);
+}
+
+/**
+ * Parse a WWW-Authenticate header value into its challenges.
+ * Param names are lowercased; quoted values are unescaped. Parsing stops at
+ * the first malformed challenge, keeping those before it.
+ *
+ * @param {string} header
+ * @returns {Array<{ scheme: string, params: object, token68: string|null }>}
+ */
+function parseChallenges(header) {
+  const challenges = [];
+  if (!header || typeof header !== 'string') return challenges;
+
+  let pos = 0;
+  for (;;) {
+    pos += matchAt(SEPARATORS, header, pos)[0].length;
+    if (pos >= header.length) break;
+
+    const scheme = matchAt(TOKEN, header, pos);
+    if (!scheme) break;
+    pos += scheme[0].length;
+
+    const challenge = { scheme: scheme[0], params: {}, token68: null };
+    challenges.push(challenge);
+
+    // A scheme must be separated from its credentials by whitespace
+    const space = matchAt(SPACES, header, pos)[0].length;
+    if (!space) continue;
+    pos += space;
+
+    const token68 = matchAt(TOKEN68, header, pos);
+    if (token68 && !matchAt(AUTH_PARAM, header, pos)) {
+      challenge.token68 = token68[0].trim();
+      pos += token68[0].length;
+      continue;
+    }
+
+    // Auth-params run until something that isn't one: the next challenge's scheme
+    for (;;) {
+      const param = matchAt(AUTH_PARAM, header, pos);
+      if (!param) break;
+      const value = param[2] !== undefined ? param[2].replace(/\\(.)/g, '$1') : param[3];
+      challenge.params[param[1].toLowerCase()] = value;
+      pos += param[0].length;
+
+      const next = matchAt(SEPARATORS, header, pos)[0];
+      if (!next.includes(',')) break;
+      pos += next.length;
+    }
+  }
+  return challenges;
+}
+
+/**
+ * Quote a value as an RFC 7230 quoted-string.
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+module.exports = {
+  parseChallenges,
+  quote
+};
@@ -1,34 +1,490 @@
 'use strict';
 
-const { CredentialCache, getGlobalCache } = require('./cache');
+const { CredentialCache, credentialKey, getGlobalCache } = require('./cache');
+const { Macaroon, decodeIdentifier, parseCaveat } = require('./macaroon');
+const { decodeInvoice } = require('./bolt11');
+const { SpendingBudget } = require('./budget');
+const { PaymentLedger } = require('./ledger');
+const { PendingPayments } = require('./pending');
+const { parseChallenges } = require('./challenges');
+const { DISCOVERY_PATH } = require('./discovery');
+const { parsePattern, matchRoute } = require('./routes');
+const { PaymentDeniedError, PolicyViolationError } = require('./errors');
+const { PaymentPolicy } = require('./policy');
+
+// Challenge schemes we can pay, preferred first (LSAT is the protocol's former name)
+const SCHEMES = ['L402', 'LSAT'];
 
 /**
- * Parse a WWW-Authenticate header to extract L402 challenge fields.
- * Expected format: L402 invoice="lnbc...", macaroon="<hex>"
+ * Pick the L402 challenge out of a WWW-Authenticate header.
+ * The header may hold several challenges (or be several headers joined by
+ * commas); an L402 challenge is preferred over a legacy LSAT one. The token
+ * may be named `macaroon` or `token`.
  *
  * @param {string} header - The WWW-Authenticate header value
- * @returns {{ invoice: string, macaroon: string } | null}
+ * @returns {{ scheme: string, invoice: string, macaroon: string } | null}
  */
 function parseWwwAuthenticate(header) {
-  if (!header || typeof header !== 'string') return null;
+  const challenges = parseChallenges(header);
+  for (const scheme of SCHEMES) {
+    for (const challenge of challenges) {
+      if (challenge.scheme.toUpperCase() !== scheme) continue;
+      const { invoice } = challenge.params;
+      const macaroon = challenge.params.macaroon || challenge.params.token;
+      if (invoice && macaroon) return { scheme, invoice, macaroon };
+    }
+  }
+  return null;
+}
 
-  const trimmed = header.trim();
-  if (!trimmed.startsWith('L402 ') && !trimmed.startsWith('l402 ')) return null;
+/**
+ * Authorization header value for a credential, in the scheme it was issued under.
+ * @param {{ macaroon: string, preimage: string, scheme?: string }} credential
+ * @returns {string}
+ */
+function authorization(credential) {
+  return `${credential.scheme || 'L402'} ${credential.macaroon}:${credential.preimage}`;
+}
 
-  const rest = trimmed.substring(5);
+/**
+ * Read the public parts of a challenge token without verifying it.
+ * Macaroons yield their payment hash and caveats; a bare hex token is
+ * treated as a legacy payment hash.
+ *
+ * @param {string} macaroon - Base64 macaroon or legacy hex payment hash
+ * @returns {{ paymentHash: string|null, tokenId: string|null, caveats: object } | null}
+ */
+function inspectToken(macaroon) {
+  if (/^[0-9a-fA-F]{64}$/.test(macaroon)) {
+    return { paymentHash: macaroon.toLowerCase(), tokenId: null, caveats: {} };
+  }
 
-  // Extract invoice="..."
-  const invoiceMatch = rest.match(/invoice="([^"]+)"/i);
-  if (!invoiceMatch) return null;
+  let mac;
+  try {
+    mac = Macaroon.deserialize(macaroon);
+  } catch {
+    return null;
+  }
 
-  // Extract macaroon="..."
-  const macaroonMatch = rest.match(/macaroon="([^"]+)"/i);
-  if (!macaroonMatch) return null;
+  const id = decodeIdentifier(mac.identifier);
+  const caveats = {};
+  for (const condition of mac.conditions()) {
+    const parsed = parseCaveat(condition);
+    if (parsed) caveats[parsed.condition] = parsed.value;
+  }
 
   return {
-    invoice: invoiceMatch[1],
-    macaroon: macaroonMatch[1]
+    paymentHash: id ? id.paymentHash : null,
+    tokenId: id ? id.tokenId : null,
+    caveats
+  };
+}
+
+/**
+ * Cache scope for a token, from its scope caveats.
+ * Exact-path tokens need no scope — they're keyed by the request URL.
+ * @param {object} caveats - As returned by inspectToken
+ * @returns {object|null}
+ */
+function tokenScope(caveats) {
+  if (caveats.service) return { type: 'service' };
+  if (caveats.path_prefix) return { type: 'prefix', pathPrefix: caveats.path_prefix };
+  return null;
+}
+
+/**
+ * Access expiry for a token, from its valid_until caveat.
+ * @param {object} caveats - As returned by inspectToken
+ * @returns {number|null} Expiry timestamp (ms)
+ */
+function tokenExpiry(caveats) {
+  const seconds = Number(caveats.valid_until);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Forget a metered credential once the server says it has no calls left,
+ * so the next request pays up front instead of bouncing off a 402.
+ * @param {CredentialCache} cache
+ * @param {string} url
+ * @param {string} method
+ * @param {Response} response
+ */
+function dropIfQuotaUsed(cache, url, method, response) {
+  if (response.headers.get('l402-remaining-calls') === '0') {
+    cache.invalidate(url, method);
+  }
+}
+
+// One-shot bodies up to this size are buffered so they can be sent more than once
+const DEFAULT_MAX_REPLAY_BYTES = 1024 * 1024;
+
+/**
+ * Whether a fetch body can only be read once (streams, async iterables).
+ * @param {*} body
+ * @returns {boolean}
+ */
+function isOneShotBody(body) {
+  return body !== null && typeof body === 'object' && typeof body[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Size of a replayable body, when it can be known without reading it.
+ * @param {*} body
+ * @returns {number|null}
+ */
+function knownBodySize(body) {
+  if (typeof body === 'string') return Buffer.byteLength(body);
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+  return null;
+}
+
+async function* resumeBody(chunks, iterator) {
+  yield* chunks;
+  for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+    yield Buffer.from(next.value);
+  }
+}
+
+/**
+ * Make a request body safe to send more than once. One-shot bodies are read
+ * into memory up to `maxBytes`; a larger one is handed back as a stream that
+ * replays what was read and then continues, to be sent exactly once.
+ *
+ * @param {*} body - fetch body
+ * @param {number} maxBytes
+ * @returns {Promise<{ body: *, replayable: boolean, size: number|null }>}
+ */
+async function prepareBody(body, maxBytes) {
+  if (!isOneShotBody(body)) {
+    return { body, replayable: true, size: knownBodySize(body) };
+  }
+
+  const iterator = body[Symbol.asyncIterator]();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const next = await iterator.next();
+    if (next.done) return { body: Buffer.concat(chunks), replayable: true, size };
+    const chunk = Buffer.from(next.value);
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size > maxBytes) return { body: resumeBody(chunks, iterator), replayable: false, size: null };
+  }
+}
+
+// Payments in flight, per cache: credential cache key → Promise<credential>
+const inflight = new WeakMap();
+
+/**
+ * In-flight payments for a cache.
+ * @param {CredentialCache} cache
+ * @returns {Map<string, Promise<object>>}
+ */
+function inflightPayments(cache) {
+  let payments = inflight.get(cache);
+  if (!payments) {
+    payments = new Map();
+    inflight.set(cache, payments);
+  }
+  return payments;
+}
+
+/**
+ * A payment in flight for a credential that would cover this request.
+ * @param {CredentialCache} cache
+ * @param {string} url
+ * @param {string} method
+ * @returns {Promise<object>|null}
+ */
+function findInflightPayment(cache, url, method) {
+  const payments = inflight.get(cache);
+  if (!payments) return null;
+  for (const k of cache.candidateKeys(url, method)) {
+    if (payments.has(k)) return payments.get(k);
+  }
+  return null;
+}
+
+/**
+ * Decode a challenge invoice and refuse it unless it is safe to pay: it
+ * hasn't expired, it's for the expected network, it has an amount (unless
+ * allowed) and it pays for the same hash the challenge token is bound to.
+ * The amount limit is checked separately (checkAmountLimit), since an
+ * approver may change it.
+ *
+ * @param {string} invoice - BOLT11 invoice from the challenge
+ * @param {string} macaroon - Token from the same challenge
+ * @param {object} opts
+ * @param {string} opts.network
+ * @param {boolean} opts.allowAmountless
+ * @returns {object} The decoded invoice
+ */
+function validateInvoice(invoice, macaroon, opts) {
+  let decoded;
+  try {
+    decoded = decodeInvoice(invoice);
+  } catch (err) {
+    throw new Error(`L402 challenge invoice could not be decoded: ${err.message}`);
+  }
+
+  if (decoded.network !== opts.network) {
+    throw new Error(`L402 invoice is for ${decoded.network}, expected ${opts.network}`);
+  }
+
+  if (decoded.expiresAt <= Date.now()) {
+    throw new Error('L402 invoice has expired');
+  }
+
+  if (decoded.amountSats === null && !opts.allowAmountless) {
+    throw new Error('L402 invoice has no amount (set allowAmountless to pay it)');
+  }
+
+  // Paying an invoice the token isn't bound to would buy nothing
+  const token = inspectToken(macaroon);
+  if (!token || !token.paymentHash || !decoded.paymentHash ||
+      token.paymentHash !== decoded.paymentHash) {
+    throw new Error('L402 invoice payment hash does not match the challenge token');
+  }
+
+  return decoded;
+}
+
+/**
+ * Refuse an invoice whose amount is above the per-invoice limit.
+ * @param {object} decoded - Decoded invoice
+ * @param {number} [maxAmountSats]
+ */
+function checkAmountLimit(decoded, maxAmountSats) {
+  if (decoded.amountSats !== null && maxAmountSats !== undefined && maxAmountSats !== null &&
+      decoded.amountSats > maxAmountSats) {
+    throw new Error(
+      `L402 invoice amount (${decoded.amountSats} sats) exceeds maxAmountSats (${maxAmountSats} sats)`
+    );
+  }
+}
+
+const APPROVAL_DEFAULTS = ['deny', 'approve'];
+
+/**
+ * Ask an approvePayment hook about a payment. The hook answers true,
+ * false or { approve, reason, maxAmountSats }; anything other than an
+ * explicit approval is a denial. If it hasn't answered within `timeoutMs`
+ * the default decision applies.
+ *
+ * @param {function} approvePayment - async ({ url, method, invoice, amountSats, description, host })
+ * @param {object} request - What is being paid for, passed to the hook
+ * @param {object} opts
+ * @param {number} [opts.timeoutMs] - How long to wait for an answer (no limit when falsy)
+ * @param {string} opts.defaultDecision - 'deny' or 'approve', used on timeout
+ * @returns {Promise<{ maxAmountSats?: number }>} The approval; throws PaymentDeniedError on denial
+ */
+async function askApproval(approvePayment, request, opts) {
+  const timedOut = {};
+  let timer;
+  const answers = [Promise.resolve(approvePayment(request))];
+  if (opts.timeoutMs) {
+    answers.push(new Promise(resolve => { timer = setTimeout(() => resolve(timedOut), opts.timeoutMs); }));
+  }
+
+  let decision;
+  try {
+    decision = await Promise.race(answers);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const { url, method, host, amountSats } = request;
+  if (decision === timedOut) {
+    if (opts.defaultDecision === 'approve') return {};
+    throw new PaymentDeniedError({
+      url, method, host, amountSats,
+      reason: `no approval within ${opts.timeoutMs}ms`,
+      timedOut: true
+    });
+  }
+  if (decision === true) return {};
+  if (decision && typeof decision === 'object' && decision.approve === true) {
+    return decision.maxAmountSats !== undefined ? { maxAmountSats: decision.maxAmountSats } : {};
+  }
+  throw new PaymentDeniedError({
+    url, method, host, amountSats,
+    reason: decision && typeof decision === 'object' && decision.reason ? decision.reason : null
+  });
+}
+
+/**
+ * Whether the wallet can report on a payment's status at all.
+ * @param {object} wallet
+ * @returns {boolean}
+ */
+function canLookupPayments(wallet) {
+  return Boolean(wallet) && typeof wallet.lookupInvoice === 'function';
+}
+
+/**
+ * Ask the wallet whether an outgoing payment went through.
+ * @param {object} wallet
+ * @param {string} paymentHash
+ * @returns {Promise<{ state: 'paid'|'unpaid'|'unknown', preimage?: string }>}
+ */
+async function lookupPayment(wallet, paymentHash) {
+  if (!canLookupPayments(wallet)) return { state: 'unknown' };
+  try {
+    const result = await wallet.lookupInvoice(paymentHash);
+    if (result && (result.paid || result.settled) && result.preimage) {
+      return { state: 'paid', preimage: result.preimage };
+    }
+    if (result && result.paid === false && !result.pending) return { state: 'unpaid' };
+  } catch {
+    // Treated as unknown: better to ask again later than to pay twice
+  }
+  return { state: 'unknown' };
+}
+
+/**
+ * Settle a pending record against the wallet, storing the preimage if it
+ * was paid and dropping the record if it definitely wasn't.
+ * @param {PendingPayments} store
+ * @param {object} wallet
+ * @param {object} record
+ * @returns {Promise<{ state: 'paid'|'unpaid'|'unknown', record: object }>}
+ */
+async function resolvePending(store, wallet, record) {
+  if (record.preimage) return { state: 'paid', record };
+
+  const status = await lookupPayment(wallet, record.paymentHash);
+  if (status.state === 'paid') {
+    await store.update(record.paymentHash, { preimage: status.preimage });
+    return { state: 'paid', record: { ...record, preimage: status.preimage } };
+  }
+  if (status.state === 'unpaid') await store.remove(record.paymentHash);
+  return { state: status.state, record };
+}
+
+/**
+ * Cache a paid credential under the scope its token was issued for.
+ * @param {CredentialCache|null} cache
+ * @param {object} paid - { url, method, macaroon, preimage, scheme, amountSats }
+ */
+function cacheCredential(cache, paid) {
+  if (!cache) return;
+  // Use the token's valid_until caveat if it has one, otherwise the cache's default TTL
+  const token = inspectToken(paid.macaroon);
+  const scope = token ? tokenScope(token.caveats) : null;
+  const expiresAt = token ? tokenExpiry(token.caveats) : null;
+  // Reusing a prepaid account credential spends balance, so it saves nothing
+  const amountSats = token && token.caveats.account ? null : paid.amountSats;
+  const { macaroon, preimage, scheme } = paid;
+  cache.set(paid.url, { macaroon, preimage, scheme, expiresAt, scope, amountSats }, paid.method);
+}
+
+/**
+ * What a token unlocks, from its scope caveats (null for legacy tokens).
+ * @param {object} caveats - As returned by inspectToken
+ * @returns {object|null} { type: 'path', method, path }, { type: 'prefix', pathPrefix }
+ *   or { type: 'service', service }
+ */
+function describeScope(caveats) {
+  if (caveats.service) return { type: 'service', service: caveats.service };
+  if (caveats.path_prefix) return { type: 'prefix', pathPrefix: caveats.path_prefix };
+  if (caveats.path) return { type: 'path', method: caveats.method || null, path: caveats.path };
+  return null;
+}
+
+/**
+ * Price a call from the response it got, without paying: what the challenge
+ * invoice asks for, and whether the invoice checks, maxAmountSats or the
+ * spending budget would refuse to pay it.
+ *
+ * @param {Response} response - Response to the uncredentialed request (or probe)
+ * @param {object} ctx - { url, method, cached, maxAmountSats, network, allowAmountless, budget, policy }
+ * @returns {object} Quote
+ */
+function quoteResponse(response, ctx) {
+  const { url, method, cached, maxAmountSats, network, allowAmountless, budget, policy } = ctx;
+  const quote = {
+    url,
+    method,
+    status: response.status,
+    paymentRequired: response.status === 402,
+    cached,
+    amountSats: response.status === 402 ? null : 0,
+    expiresAt: null,
+    description: null,
+    scope: null,
+    accessExpiresAt: null,
+    maxCalls: null,
+    wouldExceedBudget: false,
+    policy: null,
+    reason: null
   };
+  if (!quote.paymentRequired) return quote;
+
+  const challenge = parseWwwAuthenticate(response.headers.get('www-authenticate'));
+  if (!challenge) {
+    quote.reason = 'L402 response has no L402 challenge';
+    return quote;
+  }
+
+  const token = inspectToken(challenge.macaroon);
+  if (token) {
+    quote.scope = describeScope(token.caveats);
+    quote.accessExpiresAt = tokenExpiry(token.caveats);
+    quote.maxCalls = Number(token.caveats.max_calls) || null;
+  }
+  try {
+    checkAmountLimit(validateInvoice(challenge.invoice, challenge.macaroon, { network, allowAmountless }), maxAmountSats);
+  } catch (err) {
+    quote.reason = err.message;
+  }
+
+  let decoded;
+  try {
+    decoded = decodeInvoice(challenge.invoice);
+  } catch {
+    return quote;
+  }
+  quote.amountSats = decoded.amountSats;
+  quote.expiresAt = decoded.expiresAt;
+  quote.description = decoded.description;
+
+  if (policy) {
+    quote.policy = policy.evaluate({ url, amountSats: decoded.amountSats, expirySeconds: decoded.expiry });
+    if (!quote.reason && !quote.policy.allowed) quote.reason = quote.policy.violation.message;
+  }
+
+  if (decoded.amountSats === null) {
+    if (budget && !quote.reason) {
+      quote.reason = 'L402 invoice has no amount, so it cannot be checked against the spending budget';
+    }
+    return quote;
+  }
+  const refusal = budget ? budget.check(new URL(url).host, decoded.amountSats) : null;
+  const overMax = maxAmountSats !== undefined && maxAmountSats !== null && decoded.amountSats > maxAmountSats;
+  quote.wouldExceedBudget = overMax || Boolean(refusal);
+  quote.reason = quote.reason || refusal;
+  return quote;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reject if a promise hasn't settled within `ms` (no limit when ms is falsy).
+ * @param {Promise} promise
+ * @param {number} [ms]
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`L402 payment timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
 /**
@@ -38,48 +494,192 @@ function parseWwwAuthenticate(header) {
  * @param {object} [opts] - Options (superset of standard fetch options)
  * @param {object} [opts.wallet] - lightning-agent wallet instance (required for auto-pay)
  * @param {number} [opts.maxAmountSats] - Maximum amount willing to pay (safety limit)
- * @param {function} [opts.onPayment] - Callback called with { invoice, preimage, amountSats } on payment
+ * @param {function} [opts.onPayment] - Callback called with { invoice, preimage, amountSats, policy } on payment
+ *   (policy is the PaymentPolicy evaluation that allowed it, or null)
+ * @param {function} [opts.onCacheHit] - Callback called with { url, method, savedSats, totalSavedSats } when a cached credential is reused
  * @param {boolean} [opts.cache=true] - Use credential caching (default: true)
  * @param {CredentialCache} [opts.credentialCache] - Custom cache instance
+ * @param {number} [opts.topUpSats] - Top-up amount to request from prepaid-balance servers
+ * @param {string} [opts.network='bitcoin'] - Network invoices must be for (bitcoin, testnet, signet, regtest, simnet)
+ * @param {boolean} [opts.allowAmountless=false] - Pay invoices that carry no amount
+ * @param {SpendingBudget} [opts.budget] - Spending budget every payment is reserved against
+ * @param {PaymentPolicy} [opts.policy] - Policy every payment must pass; violations throw PolicyViolationError
+ * @param {PaymentLedger} [opts.ledger] - Ledger every payment is recorded in
+ * @param {number} [opts.maxReplayBytes=1048576] - Buffer one-shot bodies (streams, async iterables) up to this size so they can be retried
+ * @param {string} [opts.probe] - 'HEAD' or 'OPTIONS': for bodies that can't or shouldn't be sent twice, get the challenge with a bodiless probe first
+ * @param {PendingPayments} [opts.pending] - Where challenges are recorded before paying, for recovery
+ * @param {number} [opts.paymentTimeoutMs] - Give up waiting on payInvoice after this long (then ask the wallet)
+ * @param {number} [opts.retryAttempts=3] - Extra attempts for the paid request on network errors or a 402
+ * @param {number} [opts.retryDelayMs=250] - First backoff delay, doubled on each attempt
+ * @param {function} [opts.approvePayment] - async ({ url, method, invoice, amountSats, description, host })
+ *   called before each payment; answers true, false or { approve, reason, maxAmountSats }. A denial
+ *   throws PaymentDeniedError. maxAmountSats in an approval replaces the limit for that payment
+ * @param {number} [opts.approvalTimeoutMs] - How long to wait for approvePayment
+ * @param {string} [opts.approvalDefault='deny'] - 'deny' or 'approve' when approvePayment times out
+ * @param {boolean} [opts.dryRun=false] - Don't pay: resolve to a quote of what the call would cost
+ *   instead of a Response
  * @param {object} [opts.headers] - Additional request headers
  * @param {string} [opts.method] - HTTP method
  * @param {*} [opts.body] - Request body
- * @returns {Promise<Response>}
+ * @returns {Promise<Response|object>} The response, or with dryRun a quote:
+ *   { url, method, status, paymentRequired, cached, amountSats, expiresAt, description, scope,
+ *   accessExpiresAt, maxCalls, wouldExceedBudget, reason }
  */
 async function l402Fetch(url, opts = {}) {
   const { 
     wallet, 
     maxAmountSats, 
     onPayment, 
+    onCacheHit,
     cache: useCache = true,
     credentialCache,
+    topUpSats,
+    network = 'bitcoin',
+    allowAmountless = false,
+    budget,
+    policy,
+    ledger,
+    maxReplayBytes = DEFAULT_MAX_REPLAY_BYTES,
+    probe,
+    pending: pendingStore,
+    paymentTimeoutMs,
+    retryAttempts = 3,
+    retryDelayMs = 250,
+    approvePayment,
+    approvalTimeoutMs,
+    approvalDefault = 'deny',
+    dryRun = false,
     ...fetchOpts 
   } = opts;
 
+  // Prepaid servers size their top-up invoices from this header
+  if (topUpSats) {
+    const headers = new Headers(fetchOpts.headers || {});
+    headers.set('L402-Top-Up-Sats', String(topUpSats));
+    fetchOpts.headers = headers;
+  }
+
   const method = (fetchOpts.method || 'GET').toUpperCase();
   const cacheInstance = credentialCache || (useCache ? getGlobalCache() : null);
+  let response = null;
 
-  // 0. Check cache for existing credentials
+  if (probe && !['HEAD', 'OPTIONS'].includes(String(probe).toUpperCase())) {
+    throw new Error(`L402 probe must be 'HEAD' or 'OPTIONS', got ${probe}`);
+  }
+  if (approvePayment !== undefined && typeof approvePayment !== 'function') {
+    throw new Error('L402 approvePayment must be a function');
+  }
+  if (!APPROVAL_DEFAULTS.includes(approvalDefault)) {
+    throw new Error(`L402 approvalDefault must be 'deny' or 'approve', got ${approvalDefault}`);
+  }
+
+  // A body may go out with the cached attempt, the first attempt and the retry,
+  // so one-shot bodies are buffered. Large ones are sent only once, with a credential.
+  const prepared = await prepareBody(fetchOpts.body, maxReplayBytes);
+  fetchOpts.body = prepared.body;
+  if (!prepared.replayable) fetchOpts.duplex = 'half';
+  const sendOnce = !prepared.replayable || Boolean(probe && prepared.size > maxReplayBytes);
+  let refused = null;
+
+  // Dry run: see what the call would cost. A cached credential is reported
+  // but not sent, since using it could spend a call or balance.
+  if (dryRun) {
+    let quoted;
+    if (probe) {
+      const probeHeaders = new Headers(fetchOpts.headers || {});
+      probeHeaders.set('L402-Intended-Method', method);
+      quoted = await fetch(url, { method: String(probe).toUpperCase(), headers: probeHeaders });
+    } else {
+      quoted = await fetch(url, fetchOpts);
+    }
+    if (quoted.body) await quoted.body.cancel();
+
+    return quoteResponse(quoted, {
+      url,
+      method,
+      cached: Boolean(cacheInstance && cacheInstance.has(url, method)),
+      maxAmountSats,
+      network,
+      allowAmountless,
+      budget,
+      policy
+    });
+  }
+
+  // Send the request with a credential. Returns the response, or null after
+  // dropping the credential if it was refused (kept as `refused`; a 402
+  // refusal also becomes `response`, since it carries a fresh challenge).
+  async function fetchWithCredential(credential) {
+    const headers = new Headers(fetchOpts.headers || {});
+    headers.set('Authorization', authorization(credential));
+
+    const credentialResponse = await fetch(url, { ...fetchOpts, headers });
+
+    // If the credential worked, return the response
+    if (credentialResponse.status !== 401 && credentialResponse.status !== 402) {
+      const savedSats = credential.amountSats || 0;
+      cacheInstance.recordSavings(url, savedSats);
+      if (typeof onCacheHit === 'function') {
+        onCacheHit({ url, method, savedSats, totalSavedSats: cacheInstance.stats().satsSaved });
+      }
+      dropIfQuotaUsed(cacheInstance, url, method, credentialResponse);
+      return credentialResponse;
+    }
+
+    // Credential expired/invalid/used up, remove it
+    cacheInstance.invalidate(url, method);
+    if (!prepared.replayable) {
+      throw new Error(
+        `L402 credential was refused (${credentialResponse.status}) after a one-shot request body was sent; it can't be retried`
+      );
+    }
+    refused = credentialResponse;
+    if (credentialResponse.status === 402) response = credentialResponse;
+    return null;
+  }
+
+  // Wait for another call's payment, then use the credential it cached.
+  // A failed payment rejects every waiter rather than each paying for itself,
+  // and a refused credential is returned rather than paid for again.
+  async function awaitPayment(payment) {
+    const paid = await payment;
+    const credential = cacheInstance.get(url, method) || paid;
+    return (await fetchWithCredential(credential)) || refused;
+  }
+
+  // 0. Check cache for existing credentials, or a payment already under way for them
   if (cacheInstance) {
     const cached = cacheInstance.get(url, method);
     if (cached) {
-      const cachedHeaders = new Headers(fetchOpts.headers || {});
-      cachedHeaders.set('Authorization', `L402 ${cached.macaroon}:${cached.preimage}`);
-      
-      const cachedResponse = await fetch(url, { ...fetchOpts, headers: cachedHeaders });
-      
-      // If cached credentials worked, return the response
-      if (cachedResponse.status !== 401 && cachedResponse.status !== 402) {
-        return cachedResponse;
-      }
-      
-      // Cached credentials expired/invalid, remove them
-      cacheInstance.invalidate(url, method);
+      const cachedResponse = await fetchWithCredential(cached);
+      if (cachedResponse) return cachedResponse;
+    } else if (wallet) {
+      const inflight = findInflightPayment(cacheInstance, url, method);
+      if (inflight) return awaitPayment(inflight);
+    }
+  }
+
+  // 1. Make the initial request (unless the cached attempt already got a challenge).
+  //    A body that should only be sent once waits until there is a credential.
+  if (!response && sendOnce && wallet) {
+    if (!probe) {
+      throw new Error(
+        `L402 request body is a one-shot stream larger than maxReplayBytes (${maxReplayBytes}); ` +
+        'raise maxReplayBytes or set probe so payment can happen before the upload'
+      );
     }
+    const probeHeaders = new Headers(fetchOpts.headers || {});
+    probeHeaders.set('L402-Intended-Method', method);
+    const probeResponse = await fetch(url, { method: String(probe).toUpperCase(), headers: probeHeaders });
+
+    // No challenge for the probe: send the request once and let the caller handle the result
+    if (probeResponse.status !== 402) return fetch(url, fetchOpts);
+    response = probeResponse;
   }
 
-  // 1. Make the initial request
-  const response = await fetch(url, fetchOpts);
+  if (!response) {
+    response = await fetch(url, fetchOpts);
+  }
 
   // 2. If not 402, return as-is
   if (response.status !== 402) {
@@ -100,107 +700,373 @@ async function l402Fetch(url, opts = {}) {
     return response;
   }
 
-  const { invoice, macaroon } = challenge;
+  const { scheme, invoice, macaroon } = challenge;
+  const token = inspectToken(macaroon);
+  const scope = token ? tokenScope(token.caveats) : null;
 
-  // 5. Check amount if maxAmountSats is set
-  if (maxAmountSats !== undefined && maxAmountSats !== null) {
-    let amountSats = null;
-    try {
-      // Use the wallet's decodeInvoice if available, otherwise try to decode from the response body
-      if (typeof wallet.decodeInvoice === 'function') {
-        const decoded = wallet.decodeInvoice(invoice);
-        amountSats = decoded.amountSats;
+  // Concurrent calls for the same credential scope share one payment
+  const scopeKey = credentialKey(url, method, scope);
+  if (cacheInstance) {
+    const inflight = inflightPayments(cacheInstance).get(scopeKey);
+    if (inflight) return awaitPayment(inflight);
+
+    // A concurrent call may have finished paying since this request went out
+    const fresh = refused ? null : cacheInstance.get(url, method);
+    if (fresh) return (await fetchWithCredential(fresh)) || refused;
+  }
+
+  async function pay() {
+    // 5. Check the invoice itself before paying — never the server's JSON body
+    const decoded = validateInvoice(invoice, macaroon, { network, allowAmountless });
+
+    // An earlier, interrupted payment for this scope may have gone through after all
+    if (pendingStore) {
+      for (const record of await pendingStore.list(scopeKey)) {
+        const resolved = await resolvePending(pendingStore, wallet, record);
+        if (resolved.state === 'paid') {
+          const recovered = { ...resolved.record, feeSats: null };
+          cacheCredential(cacheInstance, recovered);
+          return recovered;
+        }
+        // Paying a fresh invoice now could pay twice for one credential. A
+        // wallet that can't look payments up will never say, so don't wait on it.
+        if (resolved.state === 'unknown' && canLookupPayments(wallet)) {
+          throw new Error(`L402 an earlier payment for this credential (${record.paymentHash}) may have gone through; ` +
+            'not paying again until the wallet can say whether it settled');
+        }
       }
-    } catch {
-      // If decode fails, we can't verify amount
     }
 
-    // Also try to get amount from the response body (JSON)
-    if (amountSats === null) {
-      try {
-        const body = await response.clone().json();
-        if (body.amountSats) amountSats = body.amountSats;
-      } catch {
-        // Not JSON or no amountSats field
-      }
+    // Check the policy before anyone is asked to approve the payment
+    let evaluation = null;
+    if (policy) {
+      evaluation = policy.evaluate({ url, amountSats: decoded.amountSats, expirySeconds: decoded.expiry });
+      if (!evaluation.allowed) throw new PolicyViolationError(evaluation);
     }
 
-    if (amountSats !== null && amountSats > maxAmountSats) {
-      throw new Error(
-        `L402 invoice amount (${amountSats} sats) exceeds maxAmountSats (${maxAmountSats} sats)`
-      );
+    // Let the approver decide (and possibly change the limit) before the limit is checked
+    let limit = maxAmountSats;
+    if (approvePayment) {
+      const approval = await askApproval(approvePayment, {
+        url,
+        method,
+        invoice,
+        amountSats: decoded.amountSats,
+        description: decoded.description,
+        host: new URL(url).host
+      }, { timeoutMs: approvalTimeoutMs, defaultDecision: approvalDefault });
+      if (approval.maxAmountSats !== undefined) limit = approval.maxAmountSats;
     }
-  }
+    checkAmountLimit(decoded, limit);
 
-  // 6. Pay the invoice
-  const payResult = await wallet.payInvoice(invoice);
-  const preimage = payResult.preimage;
+    // 6. Pay the invoice, holding its amount against the spending budget
+    let reservation = null;
+    if (budget) {
+      if (decoded.amountSats === null) {
+        throw new Error('L402 invoice has no amount, so it cannot be checked against the spending budget');
+      }
+      reservation = budget.reserve(new URL(url).host, decoded.amountSats);
+    }
 
-  if (!preimage) {
-    throw new Error('L402 payment succeeded but no preimage was returned');
-  }
+    // Record the challenge first, so a crash or timeout mid-payment can be recovered
+    const paymentHash = decoded.paymentHash;
+    if (pendingStore) {
+      await pendingStore.add({
+        paymentHash, scopeKey, url, method, scheme, invoice, macaroon, amountSats: decoded.amountSats
+      });
+    }
 
-  // 7. Call onPayment callback if provided
-  if (typeof onPayment === 'function') {
-    let amountSats = null;
+    let payResult;
     try {
-      if (typeof wallet.decodeInvoice === 'function') {
-        amountSats = wallet.decodeInvoice(invoice).amountSats;
+      payResult = await withTimeout(wallet.payInvoice(invoice), paymentTimeoutMs);
+    } catch (err) {
+      // The payment may still have gone through: ask the wallet before giving up
+      const status = await lookupPayment(wallet, paymentHash);
+      if (status.state === 'paid') {
+        payResult = { preimage: status.preimage };
+      } else {
+        // Only a payment the wallet says failed is given back; one that may
+        // still settle stays reserved and pending. Without lookups the error
+        // is all there is to go on.
+        if (status.state === 'unpaid' || !canLookupPayments(wallet)) {
+          if (reservation) budget.release(reservation);
+          if (pendingStore) await pendingStore.remove(paymentHash);
+        }
+        throw err;
       }
-    } catch { /* best effort */ }
+    }
+    const preimage = payResult.preimage;
 
-    onPayment({ invoice, preimage, amountSats });
+    if (!preimage) {
+      throw new Error('L402 payment succeeded but no preimage was returned');
+    }
+    if (pendingStore) await pendingStore.update(paymentHash, { preimage });
+
+    // 7. Call onPayment callback if provided
+    if (typeof onPayment === 'function') {
+      onPayment({ invoice, preimage, amountSats: decoded.amountSats, policy: evaluation });
+    }
+
+    // 8. Cache the credentials for reuse
+    const paid = {
+      url, method, scheme, invoice, macaroon, paymentHash, preimage,
+      amountSats: decoded.amountSats,
+      feeSats: payResult.feeSats,
+      policy: evaluation
+    };
+    cacheCredential(cacheInstance, paid);
+    return paid;
   }
 
-  // 8. Cache the credentials for reuse
+  const payment = pay();
   if (cacheInstance) {
-    // Try to extract expiry from macaroon or use default TTL
-    let expiresAt = null;
-    try {
-      // Macaroons often encode expiry, but format varies
-      // For now, use a conservative 1-hour TTL
-      expiresAt = Date.now() + 3600000;
-    } catch { /* use default */ }
-    
-    cacheInstance.set(url, { macaroon, preimage, expiresAt }, method);
+    const payments = inflightPayments(cacheInstance);
+    payments.set(scopeKey, payment);
+    payment.then(
+      () => payments.delete(scopeKey),
+      () => payments.delete(scopeKey)
+    );
   }
+  const paid = await payment;
 
-  // 9. Retry the original request with L402 authorization
+  // 9. Retry the original request with L402 authorization, backing off on
+  //    network errors and on a 402 while the server catches up with settlement
   const retryHeaders = new Headers(fetchOpts.headers || {});
-  retryHeaders.set('Authorization', `L402 ${macaroon}:${preimage}`);
+  retryHeaders.set('Authorization', authorization(paid));
 
   const retryOpts = {
     ...fetchOpts,
     headers: retryHeaders
   };
 
-  return fetch(url, retryOpts);
+  let retryResponse;
+  try {
+    for (let attempt = 0; ; attempt++) {
+      // A one-shot body has been used up by the first attempt
+      const last = attempt >= retryAttempts || !prepared.replayable;
+      try {
+        retryResponse = await fetch(url, retryOpts);
+        if (retryResponse.status !== 402 || last) break;
+      } catch (err) {
+        if (last) throw err;
+      }
+      await sleep(retryDelayMs * 2 ** attempt);
+    }
+  } finally {
+    // 10. Record the payment, with the retry's status if it got one
+    if (ledger) {
+      await ledger.record({
+        url,
+        method,
+        invoice: paid.invoice,
+        paymentHash: paid.paymentHash,
+        preimage: paid.preimage,
+        amountSats: paid.amountSats,
+        feeSats: paid.feeSats,
+        status: retryResponse ? retryResponse.status : null,
+        policy: paid.policy
+      });
+    }
+  }
+
+  // The paid request went through, so there's nothing left to recover
+  if (pendingStore) await pendingStore.remove(paid.paymentHash);
+
+  if (cacheInstance) {
+    dropIfQuotaUsed(cacheInstance, url, method, retryResponse);
+  }
+  return retryResponse;
+}
+
+/**
+ * Resume payments interrupted by a crash, timeout or failed retry: each
+ * pending challenge is checked with the wallet, and paid ones are cached
+ * (and recorded in the ledger) so the next request reuses them instead of
+ * paying again. Unpaid challenges are dropped; ones the wallet can't
+ * confirm either way are kept for a later attempt.
+ *
+ * @param {object} opts
+ * @param {PendingPayments} opts.pending - Pending payments to resume
+ * @param {object} [opts.wallet] - Wallet, used for lookupInvoice
+ * @param {CredentialCache} [opts.credentialCache] - Cache recovered credentials go into
+ * @param {PaymentLedger} [opts.ledger] - Ledger recovered payments are recorded in
+ * @returns {Promise<Array<{ paymentHash: string, url: string, method: string, state: string }>>}
+ *   state is 'recovered', 'unpaid' or 'unknown'
+ */
+async function recoverPending(opts) {
+  const { pending, wallet, credentialCache, ledger } = opts;
+  const results = [];
+  for (const record of await pending.list()) {
+    const { state, record: resolved } = await resolvePending(pending, wallet, record);
+    if (state === 'paid') {
+      cacheCredential(credentialCache, resolved);
+      if (ledger) {
+        const { url, method, invoice, paymentHash, preimage, amountSats } = resolved;
+        await ledger.record({ url, method, invoice, paymentHash, preimage, amountSats, status: null });
+      }
+      await pending.remove(record.paymentHash);
+    }
+    results.push({
+      paymentHash: record.paymentHash,
+      url: record.url,
+      method: record.method,
+      state: state === 'paid' ? 'recovered' : state
+    });
+  }
+  return results;
+}
+
+/**
+ * Fetch a server's discovery document (see discovery.js).
+ * @param {string} url - Any URL on the server; the catalog is looked up at its origin
+ * @param {object} [opts]
+ * @param {string} [opts.path='/.well-known/l402'] - Where the server serves its catalog
+ * @returns {Promise<object>} Catalog: { version, schemes, currency, endpoints, ... }
+ */
+async function fetchCatalog(url, opts = {}) {
+  const target = new URL(opts.path || DISCOVERY_PATH, url).href;
+  const response = await fetch(target, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`L402 catalog request to ${target} failed with status ${response.status}`);
+  }
+
+  let catalog;
+  try {
+    catalog = await response.json();
+  } catch {
+    catalog = null;
+  }
+  if (!catalog || !Array.isArray(catalog.endpoints)) {
+    throw new Error(`L402 catalog at ${target} is not a discovery document`);
+  }
+  return catalog;
+}
+
+/**
+ * Find the catalog entry that covers a request, the first match in catalog order.
+ * Entries with malformed paths are skipped.
+ * @param {object} catalog - From fetchCatalog()
+ * @param {string} method
+ * @param {string} url - Absolute URL or path
+ * @returns {object|null} Endpoint: { method, path, amountSats, dynamicPrice, maxCalls, ... }
+ */
+function findEndpoint(catalog, method, url) {
+  const pathname = new URL(url, 'http://localhost').pathname;
+  for (const endpoint of catalog.endpoints) {
+    let pattern;
+    try {
+      pattern = parsePattern(`${endpoint.method} ${endpoint.path}`);
+    } catch {
+      continue;
+    }
+    if (matchRoute(pattern, method, pathname)) return endpoint;
+  }
+  return null;
 }
 
 /**
  * Create an l402Fetch with a pre-configured cache.
  * @param {object} opts - Default options for all fetches
- * @returns {function} Configured l402Fetch
+ * @param {object} [opts.wallet] - Default wallet
+ * @param {number} [opts.maxAmountSats] - Default per-invoice limit
+ * @param {number} [opts.topUpSats] - Top up prepaid balances by this amount when they run out
+ * @param {string} [opts.network] - Network invoices must be for (default: bitcoin)
+ * @param {boolean} [opts.allowAmountless] - Pay invoices that carry no amount
+ * @param {SpendingBudget|object} [opts.budget] - Spending budget, or SpendingBudget options
+ * @param {PaymentLedger|string} [opts.ledger] - Payment ledger, or the path of its file
+ * @param {PaymentPolicy|string|object} [opts.policy] - Payment policy, the path of a JSON policy file
+ *   (reloaded when it changes) or the rules themselves
+ * @param {number} [opts.maxReplayBytes] - Largest one-shot body to buffer for retries (default 1 MiB)
+ * @param {string} [opts.probe] - 'HEAD' or 'OPTIONS' price probe for bodies sent only once
+ * @param {PendingPayments|string|boolean} [opts.pending] - Pending payments, the path of their file, or true
+ *   to keep them in memory (default: none)
+ * @param {number} [opts.paymentTimeoutMs] - How long to wait on payInvoice before asking the wallet
+ * @param {number} [opts.retryAttempts] - Extra attempts for the paid request (default 3)
+ * @param {number} [opts.retryDelayMs] - First retry backoff delay (default 250ms)
+ * @param {object} [opts.cacheOptions] - Options for the client's CredentialCache
+ * @param {function} [opts.approvePayment] - Asked before each payment (see l402Fetch)
+ * @param {number} [opts.approvalTimeoutMs] - How long to wait for approvePayment
+ * @param {string} [opts.approvalDefault] - 'deny' (default) or 'approve' when approvePayment times out
+ * @param {number} [opts.catalogTtlMs=300000] - How long fetched discovery documents are reused
+ * @returns {function} Configured l402Fetch, with `.budget`, `.policy`, `.ledger` and `.pending` (null when
+ *   not configured), `.recoverPending()`, `.quote(url, fetchOpts)` (a dry run) and `.catalog(url, { refresh })`
  */
 function createL402Client(opts = {}) {
   const cache = opts.cache !== false ? new CredentialCache(opts.cacheOptions) : null;
   const defaultWallet = opts.wallet;
   const defaultMaxSats = opts.maxAmountSats;
-  
-  return function configuredL402Fetch(url, fetchOpts = {}) {
+  const budget = opts.budget instanceof SpendingBudget || !opts.budget
+    ? opts.budget || null
+    : new SpendingBudget(opts.budget);
+  const ledger = typeof opts.ledger === 'string' ? new PaymentLedger(opts.ledger) : opts.ledger || null;
+  const policy = opts.policy instanceof PaymentPolicy || !opts.policy
+    ? opts.policy || null
+    : new PaymentPolicy(opts.policy);
+  const pending = opts.pending instanceof PendingPayments || !opts.pending
+    ? opts.pending || null
+    : new PendingPayments(opts.pending === true ? undefined : opts.pending);
+
+  function configuredL402Fetch(url, fetchOpts = {}) {
     return l402Fetch(url, {
       wallet: fetchOpts.wallet || defaultWallet,
       maxAmountSats: fetchOpts.maxAmountSats ?? defaultMaxSats,
+      topUpSats: opts.topUpSats,
+      network: opts.network,
+      allowAmountless: opts.allowAmountless,
+      maxReplayBytes: opts.maxReplayBytes,
+      probe: opts.probe,
+      paymentTimeoutMs: opts.paymentTimeoutMs,
+      retryAttempts: opts.retryAttempts,
+      retryDelayMs: opts.retryDelayMs,
+      approvePayment: opts.approvePayment,
+      approvalTimeoutMs: opts.approvalTimeoutMs,
+      approvalDefault: opts.approvalDefault,
+      budget,
+      policy,
+      ledger,
+      pending,
       credentialCache: cache,
       ...fetchOpts
     });
+  }
+
+  configuredL402Fetch.budget = budget;
+  configuredL402Fetch.policy = policy;
+  configuredL402Fetch.ledger = ledger;
+  configuredL402Fetch.pending = pending;
+  configuredL402Fetch.recoverPending = async () => (pending ? recoverPending({
+    pending, wallet: defaultWallet, credentialCache: cache, ledger
+  }) : []);
+
+  configuredL402Fetch.quote = (url, fetchOpts = {}) => configuredL402Fetch(url, { ...fetchOpts, dryRun: true });
+
+  // origin → { promise, expiresAt }; the promise is shared by concurrent lookups
+  const catalogs = new Map();
+  const catalogTtlMs = opts.catalogTtlMs ?? 5 * 60 * 1000;
+  configuredL402Fetch.catalog = (url, catalogOpts = {}) => {
+    const origin = new URL(url).origin;
+    const cached = catalogs.get(origin);
+    if (cached && !catalogOpts.refresh && Date.now() < cached.expiresAt) return cached.promise;
+
+    const promise = fetchCatalog(origin, catalogOpts);
+    catalogs.set(origin, { promise, expiresAt: Date.now() + catalogTtlMs });
+    promise.catch(() => {
+      const current = catalogs.get(origin);
+      if (current && current.promise === promise) catalogs.delete(origin);
+    });
+    return promise;
   };
+  return configuredL402Fetch;
 }
 
 module.exports = {
   l402Fetch,
   createL402Client,
+  recoverPending,
+  fetchCatalog,
+  findEndpoint,
   parseWwwAuthenticate,
+  inspectToken,
   CredentialCache,
   getGlobalCache
 };
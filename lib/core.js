@@ -0,0 +1,712 @@
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Macaroon, encodeIdentifier, decodeIdentifier, parseCaveat } = require('./macaroon');
+const { MemoryStore } = require('./store');
+const { quote } = require('./challenges');
+
+// Response header carrying the calls left on a metered token
+const REMAINING_CALLS_HEADER = 'L402-Remaining-Calls';
+
+// Prepaid balance left after this request, and the top-up a client asks for
+const BALANCE_HEADER = 'L402-Balance-Sats';
+const TOP_UP_HEADER = 'l402-top-up-sats';
+
+// HEAD/OPTIONS price probes name the method they want a challenge for
+const PROBE_HEADER = 'l402-intended-method';
+const PROBE_METHODS = ['HEAD', 'OPTIONS'];
+
+// Run store.expire() once every this many issued challenges
+const EXPIRE_EVERY = 100;
+
+const HEX_32_BYTES = /^[0-9a-fA-F]{64}$/;
+
+// Lifecycle events and the options that subscribe to them
+const EVENT_OPTIONS = {
+  challenge: 'onChallenge',
+  verified: 'onVerified',
+  rejected: 'onRejected',
+  invoiceError: 'onInvoiceError',
+  quotaExhausted: 'onQuotaExhausted',
+  expired: 'onExpired'
+};
+
+// Why a caveat failed, by condition; anything else is 'caveat_failed'
+const CAVEAT_REJECTIONS = {
+  valid_until: 'expired',
+  amount_sats: 'underpaid',
+  method: 'wrong_scope',
+  path: 'wrong_scope',
+  path_prefix: 'wrong_scope',
+  service: 'wrong_scope'
+};
+
+/**
+ * Verify that a preimage (hex) hashes to the expected payment hash (hex).
+ * Both values must be exactly 32 bytes; the comparison is constant-time.
+ * @param {string} preimage - Hex-encoded preimage
+ * @param {string} paymentHash - Hex-encoded expected payment hash
+ * @returns {boolean}
+ */
+function verifyPreimage(preimage, paymentHash) {
+  if (typeof preimage !== 'string' || typeof paymentHash !== 'string') return false;
+  if (!HEX_32_BYTES.test(preimage) || !HEX_32_BYTES.test(paymentHash)) return false;
+
+  const hash = crypto.createHash('sha256')
+    .update(Buffer.from(preimage, 'hex'))
+    .digest();
+  return crypto.timingSafeEqual(hash, Buffer.from(paymentHash, 'hex'));
+}
+
+/**
+ * Ask the wallet whether an invoice we issued has been settled.
+ * Uses `lookupInvoice` when the wallet has it, otherwise `waitForPayment`.
+ * @param {object} wallet - lightning-agent wallet instance
+ * @param {string} paymentHash - Hex-encoded payment hash
+ * @param {number} timeoutMs - Timeout passed to waitForPayment
+ * @returns {Promise<boolean>}
+ */
+async function checkSettlement(wallet, paymentHash, timeoutMs) {
+  try {
+    if (typeof wallet.lookupInvoice === 'function') {
+      const result = await wallet.lookupInvoice(paymentHash);
+      return !!(result && (result.paid || result.settled));
+    }
+    const result = await wallet.waitForPayment(paymentHash, { timeoutMs });
+    return !!(result && result.paid);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse an L402 Authorization header.
+ * Expected format: "L402 <macaroon>:<preimage>" (or the legacy "LSAT" scheme)
+ * The macaroon is base64 (or a bare hex payment hash for legacy tokens).
+ *
+ * @param {string} header - The Authorization header value
+ * @returns {{ macaroon: string, preimage: string } | null}
+ */
+function parseAuthHeader(header) {
+  if (!header || typeof header !== 'string') return null;
+
+  const match = header.trim().match(/^(?:L402|LSAT) +(.*)$/i);
+  if (!match) return null;
+
+  const token = match[1].trim();
+  const colonIdx = token.indexOf(':');
+  if (colonIdx === -1) return null;
+
+  const macaroon = token.substring(0, colonIdx);
+  const preimage = token.substring(colonIdx + 1);
+
+  // Basic base64/hex validation
+  if (!macaroon || !preimage) return null;
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(macaroon)) return null;
+  if (!/^[0-9a-fA-F]+$/.test(preimage)) return null;
+
+  return { macaroon, preimage };
+}
+
+/**
+ * Build the WWW-Authenticate header value for a 402 response.
+ * With several schemes the challenges are joined into one RFC 7235 list,
+ * e.g. ['L402', 'LSAT'] for clients that only know the legacy scheme.
+ * @param {string} invoice - Bolt11 invoice string
+ * @param {string} macaroon - Base64 macaroon (or legacy payment hash hex)
+ * @param {object} [opts]
+ * @param {string[]} [opts.schemes=['L402']] - Challenge schemes to offer
+ * @returns {string}
+ */
+function buildWwwAuthenticateHeader(invoice, macaroon, opts = {}) {
+  const schemes = opts.schemes || ['L402'];
+  return schemes
+    .map(scheme => `${scheme} invoice=${quote(invoice)}, macaroon=${quote(macaroon)}`)
+    .join(', ');
+}
+
+function isValidPrice(amountSats) {
+  return typeof amountSats === 'number' && Number.isFinite(amountSats) && amountSats > 0;
+}
+
+/**
+ * Resolve the price and description for a request.
+ * Both options may be plain values or (async) functions of the request.
+ * @param {object} opts - Paywall options
+ * @param {object} req - Incoming request, as the framework gives it
+ * @returns {Promise<{ amountSats: number, description: string }>}
+ */
+async function resolvePricing(opts, req) {
+  const amountSats = typeof opts.amountSats === 'function'
+    ? await opts.amountSats(req)
+    : opts.amountSats;
+  if (!isValidPrice(amountSats)) {
+    throw new Error(`l402 pricing function returned an invalid amount: ${amountSats}`);
+  }
+
+  const description = typeof opts.description === 'function'
+    ? await opts.description(req)
+    : opts.description;
+
+  return {
+    amountSats,
+    description: description || `L402 payment: ${amountSats} sats`
+  };
+}
+
+const SCOPES = ['path', 'prefix', 'service'];
+
+/**
+ * Method and path of a request, ignoring the query string.
+ * @param {object} request - { method, url }
+ * @returns {{ method: string, path: string }}
+ */
+function requestTarget(request) {
+  const rawUrl = request.url || '/';
+  let pathname;
+  try {
+    pathname = new URL(rawUrl, 'http://localhost').pathname;
+  } catch {
+    pathname = '/';
+  }
+  return {
+    method: (request.method || 'GET').toUpperCase(),
+    path: pathname
+  };
+}
+
+/**
+ * Caveats binding a token to the scope it was issued for.
+ * @param {string} scope - 'path', 'prefix' or 'service'
+ * @param {object} target - { method, path, pathPrefix, service }
+ * @returns {string[]}
+ */
+function scopeCaveats(scope, target) {
+  if (scope === 'service') return [`service=${target.service}`];
+  if (scope === 'prefix') return [`method=${target.method}`, `path_prefix=${target.pathPrefix}`];
+  return [`method=${target.method}`, `path=${target.path}`];
+}
+
+/**
+ * Subscribe the on* options (onChallenge, onVerified, ...) to an emitter.
+ * @param {EventEmitter} events
+ * @param {object} opts - Paywall options
+ */
+function addEventListeners(events, opts) {
+  for (const [name, option] of Object.entries(EVENT_OPTIONS)) {
+    if (opts[option] === undefined) continue;
+    if (typeof opts[option] !== 'function') {
+      throw new Error(`l402 ${option} must be a function`);
+    }
+    events.on(name, opts[option]);
+  }
+}
+
+/**
+ * Create the transport-independent L402 paywall: option checks, pricing,
+ * token verification and challenges. The Connect middleware (l402) and the
+ * Koa, Fastify and fetch adapters (adapters.js) are thin wrappers around it.
+ *
+ * @param {object} opts
+ * @param {object} opts.wallet - lightning-agent wallet instance (must have createInvoice)
+ * @param {number|function} opts.amountSats - Price in satoshis, or (async) function of req returning it
+ * @param {Buffer|string} [opts.rootKey] - Macaroon root key (Buffer or hex); random per middleware if omitted
+ * @param {string} [opts.location] - Macaroon location hint
+ * @param {boolean} [opts.legacyTokens=false] - Also accept bare payment-hash tokens
+ * @param {string} [opts.scope='path'] - What issued tokens unlock: 'path' (method + exact path),
+ *   'prefix' (method + opts.pathPrefix) or 'service' (every route of opts.service)
+ * @param {string} [opts.pathPrefix] - Path prefix for 'prefix' scope
+ * @param {string} [opts.service] - Service name; tokens scoped to it are accepted here
+ * @param {string|function} [opts.description] - Invoice description, or (async) function of req returning it
+ * @param {number} [opts.expirySeconds=600] - Invoice expiry in seconds (default 10 min)
+ * @param {number} [opts.accessDurationSeconds] - How long a paid token stays valid (default: forever)
+ * @param {number} [opts.maxCalls] - Requests allowed per paid token (default: unlimited; 1 = single-use)
+ * @param {object} [opts.prepaid] - Prepaid balance mode: invoices top up an account debited per request
+ * @param {number} [opts.prepaid.topUpSats] - Default top-up amount (never less than the request price)
+ * @param {number} [opts.prepaid.maxTopUpSats] - Largest top-up a client may request via header
+ * @param {object} [opts.store] - Token store (see lib/store.js); share one between middlewares
+ * @param {boolean} [opts.requireSettlement=false] - Also ask the wallet whether the invoice settled
+ * @param {number} [opts.settlementTimeoutMs=5000] - Timeout for the settlement check
+ * @param {boolean} [opts.lsat=false] - Also offer an LSAT challenge, for clients that predate the L402 name
+ * @param {function} [opts.requestPath] - (req) => the path tokens are scoped to, instead of the
+ *   request's own pathname; l402.routes uses it so every spelling of a route gets one scope
+ * @param {EventEmitter} [opts.events] - Emitter for lifecycle events; share one between paywalls
+ * @param {function} [opts.onChallenge] - Listener for 'challenge' events (likewise onVerified,
+ *   onRejected, onInvoiceError, onQuotaExhausted and onExpired)
+ * @returns {{ handle: function, terms: object, events: EventEmitter }} Paywall; see handle() below.
+ *   `terms` is the price (null when dynamic), access duration, quota and scope it was configured
+ *   with; `events` emits challenge, verified, rejected, invoiceError, quotaExhausted and expired
+ */
+function createL402Core(opts = {}) {
+  if (!opts.wallet) {
+    throw new Error('l402 middleware requires a wallet option');
+  }
+  if (typeof opts.amountSats !== 'function' && !isValidPrice(opts.amountSats)) {
+    throw new Error('l402 middleware requires a positive amountSats option');
+  }
+
+  const scope = opts.scope || 'path';
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`l402 scope must be one of: ${SCOPES.join(', ')}`);
+  }
+  if (scope === 'prefix' && (typeof opts.pathPrefix !== 'string' || !opts.pathPrefix.startsWith('/'))) {
+    throw new Error('l402 prefix scope requires a pathPrefix starting with "/"');
+  }
+  if (scope === 'service' && !opts.service) {
+    throw new Error('l402 service scope requires a service name');
+  }
+
+  if (opts.accessDurationSeconds !== undefined &&
+      !(typeof opts.accessDurationSeconds === 'number' && opts.accessDurationSeconds > 0)) {
+    throw new Error('l402 accessDurationSeconds must be a positive number');
+  }
+
+  if (opts.maxCalls !== undefined && !(Number.isInteger(opts.maxCalls) && opts.maxCalls > 0)) {
+    throw new Error('l402 maxCalls must be a positive integer');
+  }
+
+  if (opts.prepaid) {
+    if (typeof opts.prepaid !== 'object') {
+      throw new Error('l402 prepaid must be an options object');
+    }
+    if (opts.maxCalls) {
+      throw new Error('l402 prepaid mode cannot be combined with maxCalls');
+    }
+    if (opts.store && typeof opts.store.debit !== 'function') {
+      throw new Error('l402 prepaid mode needs a store with credit/debit/getBalance');
+    }
+  }
+
+  if (opts.requireSettlement &&
+      typeof opts.wallet.lookupInvoice !== 'function' &&
+      typeof opts.wallet.waitForPayment !== 'function') {
+    throw new Error('l402 requireSettlement needs a wallet with lookupInvoice or waitForPayment');
+  }
+
+  const {
+    wallet,
+    expirySeconds = 600,
+    accessDurationSeconds,
+    maxCalls,
+    prepaid,
+    requireSettlement = false,
+    settlementTimeoutMs = 5000,
+    location = 'l402',
+    legacyTokens = false,
+    lsat = false
+  } = opts;
+
+  const events = opts.events || new EventEmitter();
+  addEventListeners(events, opts);
+
+  const rootKey = opts.rootKey || crypto.randomBytes(32);
+  const service = opts.service || null;
+  // Prefixes match on segment boundaries: "/api" covers "/api/x" but not "/apix"
+  const pathPrefix = opts.pathPrefix && (opts.pathPrefix.endsWith('/') ? opts.pathPrefix : `${opts.pathPrefix}/`);
+
+  // Tokens issued by this middleware (or by every middleware sharing the store)
+  const store = opts.store || new MemoryStore();
+  let issuedCount = 0;
+  let sweeping = null;
+  const challengeSchemes = lsat ? ['L402', 'LSAT'] : ['L402'];
+
+  // Caveat predicates this middleware knows how to satisfy, keyed by condition
+  const satisfiers = {
+    // A token paid at a lower price doesn't unlock a pricier request
+    amount_sats: (value, ctx) => Number(value) >= ctx.amountSats,
+    // Scope: the token must have been issued for this request's route
+    method: (value, ctx) => value === ctx.method,
+    path: (value, ctx) => value === ctx.path,
+    path_prefix: (value, ctx) => ctx.path.startsWith(value),
+    service: (value) => service !== null && value === service,
+    // Time-window passes: unix seconds after which the token is dead
+    valid_until: (value, ctx) => ctx.now < Number(value) * 1000,
+    // Metered tokens: the count itself is enforced against the store
+    max_calls: (value) => Number.isInteger(Number(value)) && Number(value) > 0,
+    // Prepaid tokens: the balance is enforced against the store
+    account: (value) => /^[0-9a-f]{32}$/.test(value)
+  };
+
+  function checkCaveat(caveat, ctx) {
+    const parsed = parseCaveat(caveat);
+    const satisfier = parsed && satisfiers[parsed.condition];
+    return !!satisfier && satisfier(parsed.value, ctx);
+  }
+
+  /**
+   * Top-up amount for a prepaid challenge: the client's requested amount or
+   * the configured default, capped by maxTopUpSats but never below the price.
+   */
+  function topUpAmount(headers, price) {
+    const requested = parseInt(headers[TOP_UP_HEADER], 10);
+    let amount = requested > 0 ? requested : (prepaid.topUpSats || price);
+    if (prepaid.maxTopUpSats) amount = Math.min(amount, prepaid.maxTopUpSats);
+    return Math.max(amount, price);
+  }
+
+  // Whether an issued invoice was paid, for the store's expiry sweep (null if unknown)
+  async function isInvoicePaid(paymentHash) {
+    const result = await wallet.lookupInvoice(paymentHash);
+    if (result && (result.paid || result.settled)) return true;
+    if (result && result.paid === false && !result.pending) return false;
+    return null;
+  }
+
+  // Resolve the macaroon (or legacy hash) from an Authorization header.
+  // A token that doesn't unlock this request comes back as { rejected: reason }.
+  function readToken(encoded, ctx) {
+    if (legacyTokens && /^[0-9a-fA-F]{64}$/.test(encoded)) {
+      return { paymentHash: encoded.toLowerCase(), tokenId: null };
+    }
+
+    let mac;
+    try {
+      mac = Macaroon.deserialize(encoded);
+    } catch {
+      return { rejected: 'invalid_token', paymentHash: null };
+    }
+
+    const id = decodeIdentifier(mac.identifier);
+    if (!id || !mac.verify(rootKey, () => true)) {
+      return { rejected: 'invalid_token', paymentHash: id ? id.paymentHash : null };
+    }
+
+    // Authentic: now find the first caveat this request doesn't satisfy
+    let failed = null;
+    mac.verify(rootKey, caveat => {
+      if (checkCaveat(caveat, ctx)) return true;
+      failed = parseCaveat(caveat) || { condition: null };
+      return false;
+    });
+    if (failed) {
+      return {
+        rejected: CAVEAT_REJECTIONS[failed.condition] || 'caveat_failed',
+        paymentHash: id.paymentHash,
+        expiresAt: failed.condition === 'valid_until' ? Number(failed.value) * 1000 : null
+      };
+    }
+    return { paymentHash: id.paymentHash, tokenId: id.tokenId };
+  }
+
+  // Listener errors are reported, not thrown: analytics must not break the
+  // paywall. Each listener is called here (rawListeners keeps once() working)
+  // so that async ones can be caught too.
+  function emit(name, event) {
+    const warn = err => process.emitWarning(`l402 ${name} listener threw: ${err && err.message}`);
+    for (const listener of events.rawListeners(name)) {
+      try {
+        const result = listener.call(events, event);
+        if (result && typeof result.then === 'function') result.then(null, warn);
+      } catch (err) {
+        warn(err);
+      }
+    }
+  }
+
+  // Emit 'rejected', plus the specific event for used-up and expired tokens
+  function reject(base, reason, details) {
+    const event = { ...base, reason, ...details };
+    emit('rejected', event);
+    if (reason === 'quota_exhausted') emit('quotaExhausted', event);
+    if (reason === 'expired') emit('expired', event);
+  }
+
+  /**
+   * Check a request's credential, or issue a challenge for it.
+   *
+   * @param {object} request - Transport-neutral request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Path and query string (for mounted routers, the full path)
+   * @param {object} request.headers - Headers, keyed by lowercase name
+   * @param {*} [request.raw] - Framework request passed to pricing functions
+   * @returns {Promise<object>} `{ paid: true, l402, headers }` to let the request
+   *   through (setting `headers` on its response), or `{ paid: false, status,
+   *   headers, body }` to respond with. Pricing and store errors reject.
+   */
+  async function handle(request) {
+    const headers = request.headers || {};
+
+    // 1. Check for Authorization header
+    const authHeader = headers.authorization;
+    const parsed = parseAuthHeader(authHeader);
+
+    // Price for this particular request
+    const pricing = await resolvePricing(opts, request.raw ?? request);
+    const { amountSats, description } = pricing;
+    const target = requestTarget(request);
+    if (opts.requestPath) target.path = opts.requestPath(request.raw ?? request);
+
+    // A probe gets the challenge the real request would, so clients can pay
+    // before sending a body they can only send once
+    const intendedMethod = !authHeader && PROBE_METHODS.includes(target.method) && headers[PROBE_HEADER];
+    if (intendedMethod) target.method = String(intendedMethod).toUpperCase();
+
+    const now = Date.now();
+    const caveatContext = { ...pricing, ...target, now };
+    const token = parsed && readToken(parsed.macaroon, caveatContext);
+    const responseHeaders = {};
+    let reason = null;
+    let account = null;
+
+    // What every event carries: the request, its price and when
+    const eventBase = {
+      method: target.method,
+      path: target.path,
+      url: request.url,
+      amountSats,
+      request: request.raw ?? request,
+      timestamp: now
+    };
+
+    // Why a presented credential didn't unlock this request
+    let rejection = token ? token.rejected || null : null;
+    if (rejection) {
+      reject(eventBase, rejection, { paymentHash: token.paymentHash, expiresAt: token.expiresAt });
+    }
+
+    if (token && !rejection) {
+      const { preimage } = parsed;
+      const { paymentHash } = token;
+
+      // 2. Only hashes we issued count, and the preimage must match.
+      //    Optionally confirm with the wallet the first time we see it.
+      let remainingCalls = null;
+      let balanceSats = null;
+      const record = await store.get(paymentHash);
+      if (!record) {
+        rejection = 'unknown_payment';
+      } else if (!record.accountId && record.amountSats < amountSats) {
+        rejection = 'underpaid';
+      } else if (token.tokenId === null &&
+          !(record.scopeCaveats && record.scopeCaveats.every(caveat => checkCaveat(caveat, caveatContext)))) {
+        // Legacy tokens have no caveats of their own: check the scope stored at issue
+        rejection = 'wrong_scope';
+      } else if (!verifyPreimage(preimage, paymentHash)) {
+        rejection = 'bad_preimage';
+      } else if (record.expiresAt && now >= record.expiresAt) {
+        // The valid_until caveat says the same, but legacy tokens carry no caveats
+        rejection = 'expired';
+      }
+      let valid = !rejection;
+      if (valid && requireSettlement && !record.settled) {
+        valid = await checkSettlement(wallet, paymentHash, settlementTimeoutMs);
+        if (!valid) rejection = 'unsettled';
+      }
+      const firstUse = valid && !record.settled;
+      if (firstUse) {
+        await store.markSettled(paymentHash);
+      }
+
+      // 2b. Metered tokens: count this call against the quota
+      if (valid && record.maxCalls) {
+        const used = await store.consume(paymentHash);
+        remainingCalls = record.maxCalls - used.uses;
+        if (remainingCalls < 0) {
+          valid = false;
+          reason = rejection = 'quota_exhausted';
+        }
+      }
+
+      // 2c. Prepaid tokens: credit the top-up once, then debit this request
+      if (valid && record.accountId) {
+        await store.credit(record.accountId, record.amountSats, paymentHash);
+        balanceSats = await store.debit(record.accountId, amountSats);
+        if (balanceSats === null) {
+          valid = false;
+          reason = rejection = 'insufficient_balance';
+          account = {
+            id: record.accountId,
+            balanceSats: await store.getBalance(record.accountId)
+          };
+        }
+      }
+
+      if (valid) {
+        if (remainingCalls !== null) {
+          responseHeaders[REMAINING_CALLS_HEADER] = String(remainingCalls);
+        }
+        if (balanceSats !== null) {
+          responseHeaders[BALANCE_HEADER] = String(balanceSats);
+        }
+        const l402 = {
+          paymentHash,
+          tokenId: token.tokenId,
+          preimage: preimage.toLowerCase(),
+          amountSats: record.amountSats,
+          expiresAt: record.expiresAt || null,
+          remainingCalls,
+          accountId: record.accountId || null,
+          balanceSats
+        };
+        emit('verified', {
+          ...eventBase,
+          paymentHash,
+          tokenId: token.tokenId,
+          paidSats: record.amountSats,
+          expiresAt: l402.expiresAt,
+          remainingCalls,
+          accountId: l402.accountId,
+          balanceSats,
+          firstUse
+        });
+        return { paid: true, headers: responseHeaders, l402 };
+      }
+
+      reject(eventBase, rejection, {
+        paymentHash,
+        ...(rejection === 'expired' && { expiresAt: record.expiresAt }),
+        ...(rejection === 'quota_exhausted' && { maxCalls: record.maxCalls }),
+        ...(account && { accountId: account.id, balanceSats: account.balanceSats })
+      });
+
+      // Unknown hash, bad preimage, unsettled invoice, used-up quota or
+      // empty balance — issue a new challenge
+    }
+
+    // Invalid or forged token — also falls through to a new challenge
+
+    // 3. No valid auth — create an invoice and respond with 402.
+    //    In prepaid mode the invoice tops up the caller's account (or a new one).
+    const accountId = prepaid ? (account ? account.id : crypto.randomBytes(16).toString('hex')) : null;
+    const invoiceSats = prepaid ? topUpAmount(headers, amountSats) : amountSats;
+    const invoiceDescription = prepaid ? `L402 top-up: ${invoiceSats} sats` : description;
+
+    try {
+      const invoiceResult = await wallet.createInvoice({
+        amountSats: invoiceSats,
+        description: invoiceDescription,
+        expiry: expirySeconds
+      });
+
+      const { invoice } = invoiceResult;
+      const paymentHash = invoiceResult.paymentHash.toLowerCase();
+
+      // Store as pending. Access windows start when the token is issued,
+      // rounded up to whole seconds because the caveat is a unix timestamp.
+      const expiresAt = accessDurationSeconds
+        ? Math.ceil(now / 1000 + accessDurationSeconds) * 1000
+        : null;
+      const scopeConditions = scopeCaveats(scope, { ...target, pathPrefix, service });
+      await store.put(paymentHash, {
+        invoice,
+        amountSats: invoiceSats,
+        accountId,
+        createdAt: now,
+        invoiceExpiresAt: now + expirySeconds * 1000,
+        expiresAt,
+        maxCalls: maxCalls || null,
+        scopeCaveats: scopeConditions,
+        settled: false,
+        uses: 0
+      });
+
+      // Clean up expired invoices and tokens periodically. Paid invoices stay
+      // until their token expires, even if it hasn't been presented yet; the
+      // store may ask the wallet about each one, so this runs in the background.
+      if (++issuedCount % EXPIRE_EVERY === 0 && !sweeping) {
+        sweeping = store.expire(now, typeof wallet.lookupInvoice === 'function' ? isInvoicePaid : undefined)
+          .catch(err => process.emitWarning(`l402 store expiry failed: ${err.message}`))
+          .finally(() => { sweeping = null; });
+      }
+
+      // The macaroon commits to the payment hash via its identifier,
+      // and to the price paid (or the account it tops up) and route scope via caveats
+      const mac = Macaroon.mint({
+        rootKey,
+        location,
+        identifier: encodeIdentifier(paymentHash, crypto.randomBytes(32).toString('hex'))
+      });
+      mac.addFirstPartyCaveat(accountId ? `account=${accountId}` : `amount_sats=${amountSats}`);
+      for (const caveat of scopeConditions) {
+        mac.addFirstPartyCaveat(caveat);
+      }
+      if (expiresAt) {
+        mac.addFirstPartyCaveat(`valid_until=${expiresAt / 1000}`);
+      }
+      if (maxCalls) {
+        mac.addFirstPartyCaveat(`max_calls=${maxCalls}`);
+      }
+      const macaroon = mac.toBase64();
+
+      emit('challenge', {
+        ...eventBase,
+        paymentHash,
+        invoice,
+        invoiceSats,
+        description: invoiceDescription,
+        reason: rejection,
+        probe: Boolean(intendedMethod),
+        accountId
+      });
+
+      responseHeaders['WWW-Authenticate'] = buildWwwAuthenticateHeader(invoice, macaroon, { schemes: challengeSchemes });
+      responseHeaders['Content-Type'] = 'application/json';
+      if (reason === 'quota_exhausted') {
+        responseHeaders[REMAINING_CALLS_HEADER] = '0';
+      }
+      if (account) {
+        responseHeaders[BALANCE_HEADER] = String(account.balanceSats);
+      }
+      return {
+        paid: false,
+        status: 402,
+        headers: responseHeaders,
+        body: JSON.stringify({
+          error: 'Payment Required',
+          reason,
+          amountSats: invoiceSats,
+          description: invoiceDescription,
+          invoice,
+          paymentHash,
+          macaroon,
+          accessExpiresAt: expiresAt,
+          maxCalls: maxCalls || null,
+          ...(prepaid && {
+            priceSats: amountSats,
+            balanceSats: account ? account.balanceSats : 0
+          })
+        })
+      };
+    } catch (err) {
+      // If invoice creation (or storing it) fails, return 500
+      emit('invoiceError', { ...eventBase, error: err, invoiceSats });
+      return {
+        paid: false,
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Failed to create invoice',
+          message: err.message
+        })
+      };
+    }
+  }
+
+  // What this paywall charges and grants, for discovery documents (see discovery.js)
+  const terms = {
+    amountSats: typeof opts.amountSats === 'function' ? null : opts.amountSats,
+    dynamicPrice: typeof opts.amountSats === 'function',
+    description: typeof opts.description === 'string' ? opts.description : null,
+    accessDurationSeconds: accessDurationSeconds || null,
+    maxCalls: maxCalls || null,
+    scope,
+    pathPrefix: scope === 'prefix' ? opts.pathPrefix : null,
+    service,
+    prepaid: prepaid ? { topUpSats: prepaid.topUpSats || null, maxTopUpSats: prepaid.maxTopUpSats || null } : null,
+    schemes: challengeSchemes
+  };
+
+  return { handle, terms, events };
+}
+
+module.exports = {
+  PROBE_HEADER,
+  PROBE_METHODS,
+  EVENT_OPTIONS,
+  addEventListeners,
+  createL402Core,
+  verifyPreimage,
+  parseAuthHeader,
+  buildWwwAuthenticateHeader
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * Discovery Documents
+ *
+ * A catalog of what a server charges, so an agent can plan spend without
+ * triggering a 402 on every endpoint. It is built from the paywalls
+ * themselves and served at /.well-known/l402:
+ *
+ *   {
+ *     "version": 1,
+ *     "protocol": "L402",
+ *     "schemes": ["L402"],
+ *     "currency": "sat",
+ *     "service": null,
+ *     "description": null,
+ *     "endpoints": [
+ *       { "method": "GET", "path": "/api/trust/:pubkey", "amountSats": 10,
+ *         "dynamicPrice": false, "description": "Trust lookup",
+ *         "accessDurationSeconds": 3600, "maxCalls": null, "scope": "path",
+ *         "pathPrefix": null, "service": null, "prepaid": null }
+ *     ]
+ *   }
+ *
+ * Paths use the route table syntax (`:param`, trailing `*`). `amountSats`
+ * is the list price: null when a pricing function sets it per request, and
+ * `dynamicPrice` is true whenever the charged price may differ from it.
+ * toOpenApi() carries the same terms as `x-l402` operation extensions.
+ */
+
+const { parsePattern } = require('./routes');
+
+const DISCOVERY_PATH = '/.well-known/l402';
+const CATALOG_VERSION = 1;
+const OPENAPI_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+/**
+ * Catalog entry for one endpoint.
+ * @param {string} key - "METHOD /path"
+ * @param {object} terms - Paywall terms (see createL402Core), or { amountSats: 0 } for free routes
+ * @returns {object}
+ */
+function endpointEntry(key, terms) {
+  const { method, path } = parsePattern(key);
+  return {
+    method,
+    path,
+    amountSats: terms.amountSats ?? null,
+    dynamicPrice: Boolean(terms.dynamicPrice),
+    description: terms.description || null,
+    accessDurationSeconds: terms.accessDurationSeconds || null,
+    maxCalls: terms.maxCalls || null,
+    scope: terms.scope || null,
+    pathPrefix: terms.pathPrefix || null,
+    service: terms.service || null,
+    prepaid: terms.prepaid || null
+  };
+}
+
+/**
+ * Build a discovery document.
+ * @param {function|object} source - An l402.routes() middleware, or a table of
+ *   { "METHOD /path": paywall } where each paywall is an l402() middleware or
+ *   adapter (anything with `.terms`), or 0 for a listed free route
+ * @param {object} [opts]
+ * @param {string} [opts.service] - Service name
+ * @param {string} [opts.description] - What the service offers
+ * @returns {object} Catalog
+ */
+function buildCatalog(source, opts = {}) {
+  // [key, terms] for each endpoint
+  let listed;
+  if (typeof source === 'function' && Array.isArray(source.endpoints)) {
+    listed = source.endpoints.map(e => [`${e.method} ${e.path}`, e]);
+  } else if (source && typeof source === 'object') {
+    listed = Object.entries(source).map(([key, paywall]) => {
+      if (paywall === 0) return [key, { amountSats: 0 }];
+      if (!paywall || !paywall.terms) {
+        throw new Error(`l402 catalog: "${key}" must map to an l402 middleware or 0`);
+      }
+      return [key, paywall.terms];
+    });
+  } else {
+    throw new Error('l402 catalog requires an l402.routes() middleware or a table of "METHOD /path" → middleware');
+  }
+
+  const schemes = [...new Set(listed.flatMap(([, terms]) => terms.schemes || []))];
+  return {
+    version: CATALOG_VERSION,
+    protocol: 'L402',
+    schemes: schemes.length ? schemes : ['L402'],
+    currency: 'sat',
+    service: opts.service || null,
+    description: opts.description || null,
+    endpoints: listed.map(([key, terms]) => endpointEntry(key, terms))
+  };
+}
+
+/**
+ * OpenAPI path template for a route pattern: /trust/:pubkey → /trust/{pubkey},
+ * and a trailing * → {path}.
+ * @param {string} path
+ * @returns {{ template: string, params: string[] }}
+ */
+function openApiPath(path) {
+  const params = [];
+  const template = path.split('/').map((segment, i, all) => {
+    if (segment.startsWith(':')) {
+      params.push(segment.slice(1));
+      return `{${segment.slice(1)}}`;
+    }
+    if (segment === '*' && i === all.length - 1) {
+      params.push('path');
+      return '{path}';
+    }
+    return segment;
+  }).join('/');
+  return { template, params };
+}
+
+/**
+ * Add a catalog to an OpenAPI 3 document. Paid operations get an `x-l402`
+ * extension with their terms and a 402 response; operations missing from
+ * the document are added. The document itself is not modified.
+ * @param {object} catalog - From buildCatalog() or a server's /.well-known/l402
+ * @param {object} [spec] - Existing OpenAPI document to extend
+ * @returns {object} OpenAPI document
+ */
+function toOpenApi(catalog, spec = {}) {
+  const doc = structuredClone(spec);
+  doc.openapi = doc.openapi || '3.1.0';
+  doc.info = doc.info || { title: catalog.service || 'L402 API', version: '1.0.0' };
+  doc.paths = doc.paths || {};
+  doc['x-l402'] = {
+    version: catalog.version,
+    schemes: catalog.schemes,
+    currency: catalog.currency,
+    discovery: DISCOVERY_PATH
+  };
+
+  for (const endpoint of catalog.endpoints) {
+    const { method, path, description, ...terms } = endpoint;
+    const { template, params } = openApiPath(path);
+    const item = doc.paths[template] = doc.paths[template] || {};
+    const methods = method === '*' ? OPENAPI_METHODS : [method.toLowerCase()];
+
+    for (const name of methods) {
+      const operation = item[name] = item[name] || {
+        ...(description && { summary: description }),
+        ...(params.length && {
+          parameters: params.map(param => ({ name: param, in: 'path', required: true, schema: { type: 'string' } }))
+        }),
+        responses: { 200: { description: 'OK' } }
+      };
+      if (terms.amountSats === 0) continue;
+
+      operation['x-l402'] = terms;
+      operation.responses = {
+        ...operation.responses,
+        402: {
+          description: 'Payment Required: pay the invoice in WWW-Authenticate and retry with the credential',
+          headers: { 'WWW-Authenticate': { schema: { type: 'string' } } }
+        }
+      };
+    }
+  }
+  return doc;
+}
+
+/**
+ * Serve a discovery document. Answers GET and HEAD for its path and passes
+ * everything else to next().
+ * @param {function|object} source - As for buildCatalog()
+ * @param {object} [opts] - buildCatalog() options, plus:
+ * @param {string} [opts.path='/.well-known/l402'] - Where to serve the catalog
+ * @param {number} [opts.maxAgeSeconds=300] - Cache-Control max-age
+ * @returns {function} Connect-compatible middleware (req, res, next), with `.catalog`
+ */
+function l402Discovery(source, opts = {}) {
+  const { path = DISCOVERY_PATH, maxAgeSeconds = 300, ...catalogOpts } = opts;
+  const catalog = buildCatalog(source, catalogOpts);
+  const body = JSON.stringify(catalog);
+
+  function l402DiscoveryMiddleware(req, res, next) {
+    const pathname = (req.originalUrl || req.url || '').split('?')[0];
+    if (pathname !== path || (req.method !== 'GET' && req.method !== 'HEAD')) return next();
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', `public, max-age=${maxAgeSeconds}`);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  l402DiscoveryMiddleware.catalog = catalog;
+  return l402DiscoveryMiddleware;
+}
+
+module.exports = {
+  DISCOVERY_PATH,
+  buildCatalog,
+  toOpenApi,
+  l402Discovery
+};
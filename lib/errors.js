@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Error Classes
+ *
+ * Most failures are plain Errors with an "L402 ..." message. Errors a
+ * caller is expected to handle differently from a failed request get a
+ * class and a stable `code`, so they can be told apart without matching
+ * messages:
+ *
+ *   try {
+ *     await client(url);
+ *   } catch (err) {
+ *     if (err.code === 'L402_PAYMENT_DENIED') queueForLater(url, err.amountSats);
+ *     else throw err;
+ *   }
+ */
+
+/**
+ * A payment was refused by the approvePayment hook, or by its default
+ * decision when the hook didn't answer in time. Nothing was paid.
+ */
+class PaymentDeniedError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.url
+   * @param {string} details.method
+   * @param {string} details.host
+   * @param {number|null} details.amountSats
+   * @param {string} [details.reason] - Why, as given by the approver
+   * @param {boolean} [details.timedOut=false] - The approver didn't answer in time
+   */
+  constructor(details) {
+    const { url, method, host, amountSats, reason = null, timedOut = false } = details;
+    const amount = amountSats === null || amountSats === undefined ? '' : ` of ${amountSats} sats`;
+    super(`L402 payment${amount} to ${host} was denied${reason ? `: ${reason}` : ''}`);
+    this.name = 'PaymentDeniedError';
+    this.code = 'L402_PAYMENT_DENIED';
+    this.url = url;
+    this.method = method;
+    this.host = host;
+    this.amountSats = amountSats ?? null;
+    this.reason = reason;
+    this.timedOut = timedOut;
+  }
+}
+
+/**
+ * A payment broke a rule of the client's PaymentPolicy. Thrown before the
+ * wallet is asked to pay; `rule` names the rule and `evaluation` holds
+ * every check that ran.
+ */
+class PolicyViolationError extends Error {
+  /**
+   * @param {object} evaluation - From PaymentPolicy#evaluate, with a violation
+   */
+  constructor(evaluation) {
+    super(evaluation.violation.message);
+    this.name = 'PolicyViolationError';
+    this.code = 'L402_POLICY_VIOLATION';
+    this.rule = evaluation.violation.rule;
+    this.evaluation = evaluation;
+  }
+}
+
+module.exports = {
+  PaymentDeniedError,
+  PolicyViolationError
+};
@@ -1,21 +1,72 @@
 'use strict';
 
 const { l402, verifyPreimage, parseAuthHeader, buildWwwAuthenticateHeader } = require('./middleware');
-const { l402Fetch, createL402Client, parseWwwAuthenticate, CredentialCache, getGlobalCache } = require('./client');
+const { createL402Core } = require('./core');
+const { l402Koa, l402Fastify, l402Handler } = require('./adapters');
+const { MemoryStore, FileStore } = require('./store');
+const { Macaroon, encodeIdentifier, decodeIdentifier, parseCaveat } = require('./macaroon');
+const { decodeInvoice, encodeInvoice } = require('./bolt11');
+const { l402Fetch, createL402Client, recoverPending, fetchCatalog, findEndpoint, parseWwwAuthenticate, inspectToken, CredentialCache, getGlobalCache } = require('./client');
+const { FileCacheStorage } = require('./cache-storage');
+const { SpendingBudget } = require('./budget');
+const { PaymentLedger } = require('./ledger');
+const { PendingPayments } = require('./pending');
+const { parseChallenges } = require('./challenges');
+const { PaymentDeniedError, PolicyViolationError } = require('./errors');
+const { PaymentPolicy } = require('./policy');
+const { DISCOVERY_PATH, buildCatalog, toOpenApi, l402Discovery } = require('./discovery');
 
 module.exports = {
   // Server-side
   l402,
+  l402Koa,
+  l402Fastify,
+  l402Handler,
+  createL402Core,
   verifyPreimage,
   parseAuthHeader,
   buildWwwAuthenticateHeader,
 
+  // Discovery
+  DISCOVERY_PATH,
+  buildCatalog,
+  toOpenApi,
+  l402Discovery,
+
+  // Token stores
+  MemoryStore,
+  FileStore,
+
+  // Macaroons
+  Macaroon,
+  encodeIdentifier,
+  decodeIdentifier,
+  parseCaveat,
+
+  // Invoices
+  decodeInvoice,
+  encodeInvoice,
+
   // Client-side
   l402Fetch,
   createL402Client,
+  recoverPending,
+  fetchCatalog,
+  findEndpoint,
   parseWwwAuthenticate,
-  
+  parseChallenges,
+  inspectToken,
+  PaymentDeniedError,
+  PolicyViolationError,
+
+  // Budgets and accounting
+  SpendingBudget,
+  PaymentLedger,
+  PendingPayments,
+  PaymentPolicy,
+
   // Caching
   CredentialCache,
+  FileCacheStorage,
   getGlobalCache
 };
@@ -0,0 +1,171 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Client Payment Ledger
+ *
+ * Durable record of every payment an L402 client makes, kept as an
+ * append-only JSON-lines file (or in memory without a path). Entries
+ * can be filtered by host and time range, totalled, and exported as
+ * CSV or JSON for reconciliation.
+ *
+ * An entry looks like:
+ *   { timestamp, url, host, method, invoice, paymentHash, preimage,
+ *     amountSats, feeSats, status }
+ *
+ * plus `policy`, the PaymentPolicy evaluation, for payments made under one.
+ */
+
+const CSV_COLUMNS = [
+  'timestamp', 'url', 'host', 'method', 'invoice', 'paymentHash',
+  'preimage', 'amountSats', 'feeSats', 'status'
+];
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+class PaymentLedger {
+  /**
+   * @param {string} [filePath] - Path of the ledger file (created if missing); in-memory if omitted
+   */
+  constructor(filePath) {
+    this.filePath = filePath || null;
+    this.entries = [];
+    this.loaded = null;
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        if (!this.filePath) return;
+        let data = Buffer.alloc(0);
+        try {
+          data = await fs.promises.readFile(this.filePath);
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+        // Cut off a torn final line from a crash mid-write, so the next
+        // entry starts on a line of its own
+        const end = data.lastIndexOf(0x0a) + 1;
+        if (end < data.length) {
+          await fs.promises.truncate(this.filePath, end);
+          data = data.subarray(0, end);
+        }
+        for (const line of data.toString('utf8').split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            this.entries.push(JSON.parse(line));
+          } catch {
+            // Skip a corrupt line
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Append a payment.
+   * @param {object} payment - Entry fields (timestamp defaults to now, host is taken from url)
+   * @returns {Promise<object>} The stored entry
+   */
+  record(payment) {
+    const run = this.queue.then(async () => {
+      await this.load();
+      const entry = {
+        timestamp: payment.timestamp || Date.now(),
+        url: payment.url,
+        host: payment.host || new URL(payment.url).host,
+        method: payment.method || 'GET',
+        invoice: payment.invoice,
+        paymentHash: payment.paymentHash ?? null,
+        preimage: payment.preimage,
+        amountSats: payment.amountSats ?? null,
+        feeSats: payment.feeSats ?? null,
+        status: payment.status ?? null,
+        // The PaymentPolicy evaluation that allowed it (JSON export only)
+        ...(payment.policy && { policy: payment.policy })
+      };
+      if (this.filePath) {
+        // Entries hold preimages: keep the file private to the owner
+        await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+      }
+      this.entries.push(entry);
+      return { ...entry };
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Payments matching a filter, oldest first.
+   * @param {object} [filter]
+   * @param {string} [filter.host] - Only payments to this host
+   * @param {number|Date} [filter.since] - Only payments at or after this time
+   * @param {number|Date} [filter.until] - Only payments before this time
+   * @returns {Promise<object[]>}
+   */
+  async query(filter = {}) {
+    await this.load();
+    const since = toTime(filter.since);
+    const until = toTime(filter.until);
+    return this.entries
+      .filter(e => !filter.host || e.host === filter.host)
+      .filter(e => since === undefined || e.timestamp >= since)
+      .filter(e => until === undefined || e.timestamp < until)
+      .map(e => ({ ...e }));
+  }
+
+  /**
+   * Sum payments matching a filter.
+   * @param {object} [filter] - Same as query()
+   * @returns {Promise<{ count: number, amountSats: number, feeSats: number, byHost: object }>}
+   */
+  async totals(filter) {
+    const totals = { count: 0, amountSats: 0, feeSats: 0, byHost: {} };
+    for (const entry of await this.query(filter)) {
+      const sats = entry.amountSats || 0;
+      totals.count++;
+      totals.amountSats += sats;
+      totals.feeSats += entry.feeSats || 0;
+      totals.byHost[entry.host] = (totals.byHost[entry.host] || 0) + sats;
+    }
+    return totals;
+  }
+
+  /**
+   * Export payments as CSV, one row per payment, timestamps in ISO 8601.
+   * @param {object} [filter] - Same as query()
+   * @returns {Promise<string>}
+   */
+  async exportCSV(filter) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const entry of await this.query(filter)) {
+      const values = { ...entry, timestamp: new Date(entry.timestamp).toISOString() };
+      rows.push(CSV_COLUMNS.map(col => csvField(values[col])).join(','));
+    }
+    return rows.join('\n') + '\n';
+  }
+
+  /**
+   * Export payments as a JSON array.
+   * @param {object} [filter] - Same as query()
+   * @returns {Promise<string>}
+   */
+  async exportJSON(filter) {
+    return JSON.stringify(await this.query(filter), null, 2);
+  }
+}
+
+module.exports = {
+  PaymentLedger
+};
@@ -0,0 +1,298 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Minimal macaroon implementation for L402.
+ *
+ * Supports first-party caveats, the HMAC-SHA256 signature chain and the
+ * libmacaroons/go-macaroon V2 binary format (base64-encoded in headers),
+ * which is what Aperture and other L402 servers use.
+ */
+
+const KEY_GENERATOR = Buffer.from('macaroons-key-generator', 'utf8');
+
+// V2 binary field types
+const FIELD_EOS = 0;
+const FIELD_LOCATION = 1;
+const FIELD_IDENTIFIER = 2;
+const FIELD_VID = 4;
+const FIELD_SIGNATURE = 6;
+
+// L402 identifier: uint16 version + 32-byte payment hash + 32-byte token id
+const IDENTIFIER_VERSION = 0;
+const IDENTIFIER_LENGTH = 2 + 32 + 32;
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function toBuffer(value, encoding) {
+  if (Buffer.isBuffer(value)) return value;
+  if (value instanceof Uint8Array) return Buffer.from(value);
+  return Buffer.from(String(value), encoding);
+}
+
+/**
+ * Normalize a root key given as a Buffer or hex string.
+ * @param {Buffer|string} rootKey
+ * @returns {Buffer}
+ */
+function normalizeRootKey(rootKey) {
+  if (typeof rootKey === 'string') {
+    if (!/^[0-9a-fA-F]+$/.test(rootKey) || rootKey.length % 2 !== 0) {
+      throw new Error('Macaroon root key string must be hex');
+    }
+    return Buffer.from(rootKey, 'hex');
+  }
+  return toBuffer(rootKey);
+}
+
+function writeUvarint(n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 128);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+function writeField(type, data) {
+  return Buffer.concat([Buffer.from([type]), writeUvarint(data.length), data]);
+}
+
+class Macaroon {
+  /**
+   * @param {object} fields
+   * @param {Buffer} fields.identifier
+   * @param {Buffer} fields.signature
+   * @param {string} [fields.location]
+   * @param {Array<{ identifier: Buffer, location?: string, vid?: Buffer }>} [fields.caveats]
+   */
+  constructor(fields) {
+    this.location = fields.location || '';
+    this.identifier = fields.identifier;
+    this.signature = fields.signature;
+    this.caveats = fields.caveats || [];
+  }
+
+  /**
+   * Mint a new macaroon signed with a root key.
+   * @param {object} opts
+   * @param {Buffer|string} opts.rootKey - Secret root key (Buffer or hex)
+   * @param {Buffer|string} opts.identifier - Public identifier
+   * @param {string} [opts.location] - Location hint (not signed)
+   * @returns {Macaroon}
+   */
+  static mint(opts) {
+    const derivedKey = hmac(KEY_GENERATOR, normalizeRootKey(opts.rootKey));
+    const identifier = toBuffer(opts.identifier, 'utf8');
+    return new Macaroon({
+      location: opts.location,
+      identifier,
+      signature: hmac(derivedKey, identifier)
+    });
+  }
+
+  /**
+   * Append a first-party caveat and extend the signature chain.
+   * @param {string} condition - Caveat predicate, e.g. "valid_until=1700000000"
+   * @returns {Macaroon} this
+   */
+  addFirstPartyCaveat(condition) {
+    const identifier = toBuffer(condition, 'utf8');
+    this.caveats.push({ identifier });
+    this.signature = hmac(this.signature, identifier);
+    return this;
+  }
+
+  /**
+   * First-party caveat predicates as strings.
+   * @returns {string[]}
+   */
+  conditions() {
+    return this.caveats
+      .filter(c => !c.vid)
+      .map(c => c.identifier.toString('utf8'));
+  }
+
+  /**
+   * Verify the signature chain and every caveat.
+   * @param {Buffer|string} rootKey - Root key the macaroon was minted with
+   * @param {function(string): boolean} [check] - Returns true if a caveat is satisfied
+   * @returns {boolean}
+   */
+  verify(rootKey, check = () => false) {
+    let signature = hmac(hmac(KEY_GENERATOR, normalizeRootKey(rootKey)), this.identifier);
+    for (const caveat of this.caveats) {
+      // Third-party caveats are not supported
+      if (caveat.vid) return false;
+      if (!check(caveat.identifier.toString('utf8'))) return false;
+      signature = hmac(signature, caveat.identifier);
+    }
+    return signature.length === this.signature.length &&
+      crypto.timingSafeEqual(signature, this.signature);
+  }
+
+  /**
+   * Serialize in the V2 binary format.
+   * @returns {Buffer}
+   */
+  serialize() {
+    const parts = [Buffer.from([2])];
+    if (this.location) parts.push(writeField(FIELD_LOCATION, Buffer.from(this.location, 'utf8')));
+    parts.push(writeField(FIELD_IDENTIFIER, this.identifier));
+    parts.push(Buffer.from([FIELD_EOS]));
+
+    for (const caveat of this.caveats) {
+      if (caveat.location) parts.push(writeField(FIELD_LOCATION, Buffer.from(caveat.location, 'utf8')));
+      parts.push(writeField(FIELD_IDENTIFIER, caveat.identifier));
+      if (caveat.vid) parts.push(writeField(FIELD_VID, caveat.vid));
+      parts.push(Buffer.from([FIELD_EOS]));
+    }
+    parts.push(Buffer.from([FIELD_EOS]));
+    parts.push(writeField(FIELD_SIGNATURE, this.signature));
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Serialize to standard base64, as used in L402 headers.
+   * @returns {string}
+   */
+  toBase64() {
+    return this.serialize().toString('base64');
+  }
+
+  /**
+   * Deserialize a V2 binary macaroon.
+   * @param {Buffer|string} data - Raw bytes, or a base64/base64url string
+   * @returns {Macaroon}
+   */
+  static deserialize(data) {
+    const buf = typeof data === 'string' ? Buffer.from(data, 'base64') : toBuffer(data);
+    let pos = 0;
+
+    function readUvarint() {
+      let result = 0;
+      let multiplier = 1;
+      for (;;) {
+        if (pos >= buf.length) throw new Error('Macaroon truncated');
+        const byte = buf[pos++];
+        result += (byte & 0x7f) * multiplier;
+        if (!(byte & 0x80)) return result;
+        multiplier *= 128;
+        if (multiplier > 2 ** 35) throw new Error('Macaroon varint too long');
+      }
+    }
+
+    // Reads the next field, or returns null at an end-of-section marker
+    function readField() {
+      if (pos >= buf.length) throw new Error('Macaroon truncated');
+      const type = buf[pos++];
+      if (type === FIELD_EOS) return null;
+      const length = readUvarint();
+      if (pos + length > buf.length) throw new Error('Macaroon truncated');
+      const value = buf.subarray(pos, pos + length);
+      pos += length;
+      return { type, value };
+    }
+
+    if (buf[pos++] !== 2) throw new Error('Unsupported macaroon version');
+
+    let location = '';
+    let field = readField();
+    if (field && field.type === FIELD_LOCATION) {
+      location = field.value.toString('utf8');
+      field = readField();
+    }
+    if (!field || field.type !== FIELD_IDENTIFIER) throw new Error('Macaroon missing identifier');
+    const identifier = Buffer.from(field.value);
+    if (readField() !== null) throw new Error('Macaroon has unexpected field');
+
+    const caveats = [];
+    for (;;) {
+      field = readField();
+      if (field === null) break;
+
+      const caveat = {};
+      if (field.type === FIELD_LOCATION) {
+        caveat.location = field.value.toString('utf8');
+        field = readField();
+      }
+      if (!field || field.type !== FIELD_IDENTIFIER) throw new Error('Macaroon caveat missing identifier');
+      caveat.identifier = Buffer.from(field.value);
+
+      field = readField();
+      if (field && field.type === FIELD_VID) {
+        caveat.vid = Buffer.from(field.value);
+        field = readField();
+      }
+      if (field !== null) throw new Error('Macaroon caveat has unexpected field');
+      caveats.push(caveat);
+    }
+
+    field = readField();
+    if (!field || field.type !== FIELD_SIGNATURE || field.value.length !== 32) {
+      throw new Error('Macaroon missing signature');
+    }
+    if (pos !== buf.length) throw new Error('Macaroon has trailing data');
+
+    return new Macaroon({ location, identifier, caveats, signature: Buffer.from(field.value) });
+  }
+}
+
+/**
+ * Encode an L402 macaroon identifier.
+ * @param {string} paymentHash - Hex-encoded payment hash (32 bytes)
+ * @param {string} tokenId - Hex-encoded token id (32 bytes)
+ * @returns {Buffer}
+ */
+function encodeIdentifier(paymentHash, tokenId) {
+  const hash = Buffer.from(paymentHash, 'hex');
+  const id = Buffer.from(tokenId, 'hex');
+  if (hash.length !== 32 || id.length !== 32) {
+    throw new Error('L402 identifier needs a 32-byte payment hash and token id');
+  }
+  const version = Buffer.alloc(2);
+  version.writeUInt16BE(IDENTIFIER_VERSION);
+  return Buffer.concat([version, hash, id]);
+}
+
+/**
+ * Decode an L402 macaroon identifier.
+ * @param {Buffer} identifier
+ * @returns {{ version: number, paymentHash: string, tokenId: string } | null}
+ */
+function decodeIdentifier(identifier) {
+  if (!Buffer.isBuffer(identifier) || identifier.length !== IDENTIFIER_LENGTH) return null;
+  const version = identifier.readUInt16BE(0);
+  if (version !== IDENTIFIER_VERSION) return null;
+  return {
+    version,
+    paymentHash: identifier.subarray(2, 34).toString('hex'),
+    tokenId: identifier.subarray(34, 66).toString('hex')
+  };
+}
+
+/**
+ * Split a caveat predicate into its condition and value.
+ * @param {string} caveat - e.g. "valid_until=1700000000"
+ * @returns {{ condition: string, value: string } | null}
+ */
+function parseCaveat(caveat) {
+  const idx = caveat.indexOf('=');
+  if (idx <= 0) return null;
+  return {
+    condition: caveat.substring(0, idx).trim(),
+    value: caveat.substring(idx + 1).trim()
+  };
+}
+
+module.exports = {
+  Macaroon,
+  encodeIdentifier,
+  decodeIdentifier,
+  parseCaveat
+};
@@ -1,161 +1,164 @@
 'use strict';
 
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const {
+  PROBE_HEADER,
+  PROBE_METHODS,
+  EVENT_OPTIONS,
+  addEventListeners,
+  createL402Core,
+  verifyPreimage,
+  parseAuthHeader,
+  buildWwwAuthenticateHeader
+} = require('./core');
+const { compileRoutes, describeRoute, canonicalPath } = require('./routes');
+const { l402Discovery } = require('./discovery');
+const { MemoryStore } = require('./store');
 
 /**
- * Verify that a preimage (hex) hashes to the expected payment hash (hex).
- * @param {string} preimage - Hex-encoded preimage
- * @param {string} paymentHash - Hex-encoded expected payment hash
- * @returns {boolean}
- */
-function verifyPreimage(preimage, paymentHash) {
-  try {
-    const hash = crypto.createHash('sha256')
-      .update(Buffer.from(preimage, 'hex'))
-      .digest('hex');
-    return hash === paymentHash.toLowerCase();
-  } catch {
-    return false;
-  }
-}
-
-/**
- * Parse an L402 Authorization header.
- * Expected format: "L402 <macaroon>:<preimage>"
- * In our simplified scheme, macaroon = payment hash (hex).
+ * Create L402 paywall middleware.
+ * Takes the same options as createL402Core (see core.js).
  *
- * @param {string} header - The Authorization header value
- * @returns {{ macaroon: string, preimage: string } | null}
+ * A paid request gets `req.l402` and calls next(); anything else is
+ * answered with a 402 challenge. Pricing and store errors go to next(err).
+ *
+ * @param {object} opts - Paywall options
+ * @returns {function} Connect-compatible middleware (req, res, next), with `.terms` for
+ *   discovery documents and `.events`, the lifecycle event emitter
  */
-function parseAuthHeader(header) {
-  if (!header || typeof header !== 'string') return null;
-
-  const trimmed = header.trim();
-  if (!trimmed.startsWith('L402 ') && !trimmed.startsWith('l402 ')) return null;
-
-  const token = trimmed.substring(5).trim();
-  const colonIdx = token.indexOf(':');
-  if (colonIdx === -1) return null;
-
-  const macaroon = token.substring(0, colonIdx);
-  const preimage = token.substring(colonIdx + 1);
+function l402(opts = {}) {
+  const core = createL402Core(opts);
 
-  // Basic hex validation
-  if (!macaroon || !preimage) return null;
-  if (!/^[0-9a-fA-F]+$/.test(macaroon)) return null;
-  if (!/^[0-9a-fA-F]+$/.test(preimage)) return null;
+  async function l402Middleware(req, res, next) {
+    let outcome;
+    try {
+      outcome = await core.handle({
+        method: req.method,
+        // originalUrl so mounted Express routers see the full path
+        url: req.originalUrl || req.url,
+        headers: req.headers,
+        raw: req
+      });
+    } catch (err) {
+      return next(err);
+    }
 
-  return { macaroon, preimage };
-}
+    for (const [name, value] of Object.entries(outcome.headers)) {
+      res.setHeader(name, value);
+    }
+    if (outcome.paid) {
+      // Attach L402 info to request
+      req.l402 = outcome.l402;
+      return next();
+    }
+    res.statusCode = outcome.status;
+    res.end(outcome.body);
+  }
 
-/**
- * Build the WWW-Authenticate header value for a 402 response.
- * @param {string} invoice - Bolt11 invoice string
- * @param {string} macaroon - Macaroon token (payment hash hex in our scheme)
- * @returns {string}
- */
-function buildWwwAuthenticateHeader(invoice, macaroon) {
-  return `L402 invoice="${invoice}", macaroon="${macaroon}"`;
+  l402Middleware.terms = core.terms;
+  l402Middleware.events = core.events;
+  return l402Middleware;
 }
 
 /**
- * Create L402 paywall middleware.
+ * Gate a whole app with one middleware built from a pricing table (see
+ * routes.js). Requests for a paid route go through that route's paywall;
+ * free and unlisted routes pass straight through. Every listed route sets
+ * `req.l402Route` to { key, method, path, sats, description, params }.
  *
- * @param {object} opts
- * @param {object} opts.wallet - lightning-agent wallet instance (must have createInvoice)
- * @param {number} opts.amountSats - Price in satoshis
- * @param {string} [opts.description] - Invoice description
- * @param {number} [opts.expirySeconds=600] - Invoice expiry in seconds (default 10 min)
- * @returns {function} Connect-compatible middleware (req, res, next)
+ * @param {object} table - { "METHOD /path": sats | { sats, description, ...options } }
+ * @param {object} opts - l402() options shared by every route. Routes share one
+ *   store and root key (random if not given). `amountSats` may be a function
+ *   (req, route) => sats to adjust a route's list price per request.
+ * @param {boolean|object} [opts.discovery] - Also serve the table as a discovery
+ *   document at /.well-known/l402; an object is passed to l402Discovery()
+ * @returns {function} Middleware (req, res, next), with `.routes` (the table as
+ *   [{ method, path, sats, description }]), `.endpoints` (each route's full terms,
+ *   for buildCatalog), `.match(method, url)` and `.events` (shared by every route)
  */
-function l402(opts = {}) {
-  if (!opts.wallet) {
-    throw new Error('l402 middleware requires a wallet option');
-  }
-  if (!opts.amountSats || typeof opts.amountSats !== 'number' || opts.amountSats <= 0) {
-    throw new Error('l402 middleware requires a positive amountSats option');
-  }
-
-  const { wallet, amountSats, description, expirySeconds = 600 } = opts;
-
-  // In-memory store of issued payment hashes
-  const pendingHashes = new Map();
-
-  return async function l402Middleware(req, res, next) {
-    // 1. Check for Authorization header
-    const authHeader = req.headers && req.headers['authorization'];
-    const parsed = parseAuthHeader(authHeader);
-
-    if (parsed) {
-      const { macaroon, preimage } = parsed;
-      const paymentHash = macaroon.toLowerCase();
-
-      // 2. Verify the preimage matches the payment hash
-      if (verifyPreimage(preimage, paymentHash)) {
-        // Attach L402 info to request
-        req.l402 = {
-          paymentHash,
-          preimage: preimage.toLowerCase(),
-          amountSats
-        };
-        return next();
-      }
+l402.routes = function routes(table, opts = {}) {
+  const { discovery: discoveryOpts, ...gateOpts } = opts;
+  const compiled = compileRoutes(table);
+
+  // One emitter for every route; the on* options subscribe to it once
+  const events = opts.events || new EventEmitter();
+  addEventListeners(events, opts);
+  for (const option of Object.values(EVENT_OPTIONS)) delete gateOpts[option];
+
+  const shared = {
+    ...gateOpts,
+    events,
+    store: opts.store || new MemoryStore(),
+    rootKey: opts.rootKey || crypto.randomBytes(32)
+  };
+  const dynamicPrice = typeof opts.amountSats === 'function';
 
-      // Invalid preimage — fall through to issue a new challenge
-    }
+  function lookup(method, url) {
+    const found = compiled.match(method, url);
+    return found && { key: found.route.key, ...describeRoute(found.route), params: found.params, route: found.route };
+  }
 
-    // 3. No valid auth — create an invoice and respond with 402
-    try {
-      const invoiceResult = await wallet.createInvoice({
-        amountSats,
-        description: description || `L402 payment: ${amountSats} sats`,
-        expiry: expirySeconds
-      });
+  const gates = new Map();
+  for (const route of compiled.routes) {
+    if (route.free) continue;
+    const listed = describeRoute(route);
+    gates.set(route, l402({
+      ...shared,
+      description: route.description || opts.description,
+      ...route.options,
+      amountSats: dynamicPrice ? req => opts.amountSats(req, listed) : route.sats,
+      // Scope tokens to the route's spelling of the path, as it was matched
+      requestPath: req => canonicalPath(route, req.l402Route.params)
+    }));
+  }
 
-      const { invoice, paymentHash } = invoiceResult;
+  function gateRequest(req, res, next) {
+    // A price probe is matched as the request it stands in for
+    const intended = !(req.headers && req.headers.authorization) &&
+      PROBE_METHODS.includes((req.method || '').toUpperCase()) && req.headers && req.headers[PROBE_HEADER];
+    const found = lookup(intended || req.method, req.originalUrl || req.url);
+    if (!found) return next();
+
+    const { route, ...info } = found;
+    req.l402Route = info;
+    if (route.free) return next();
+    return gates.get(route)(req, res, next);
+  }
 
-      // Store as pending
-      pendingHashes.set(paymentHash, {
-        invoice,
-        amountSats,
-        createdAt: Date.now(),
-        expiryMs: expirySeconds * 1000
-      });
+  let discovery = null;
+  function l402RoutesMiddleware(req, res, next) {
+    if (discovery) return discovery(req, res, () => gateRequest(req, res, next));
+    return gateRequest(req, res, next);
+  }
 
-      // Clean up expired entries periodically
-      if (pendingHashes.size > 100) {
-        const now = Date.now();
-        for (const [hash, entry] of pendingHashes) {
-          if (now - entry.createdAt > entry.expiryMs) {
-            pendingHashes.delete(hash);
-          }
-        }
-      }
-
-      // The macaroon in our simplified scheme IS the payment hash
-      const wwwAuth = buildWwwAuthenticateHeader(invoice, paymentHash);
-
-      res.statusCode = 402;
-      res.setHeader('WWW-Authenticate', wwwAuth);
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({
-        error: 'Payment Required',
-        amountSats,
-        description: description || `L402 payment: ${amountSats} sats`,
-        invoice,
-        paymentHash
-      }));
-    } catch (err) {
-      // If invoice creation fails, return 500
-      res.statusCode = 500;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({
-        error: 'Failed to create invoice',
-        message: err.message
-      }));
-    }
+  l402RoutesMiddleware.events = events;
+  l402RoutesMiddleware.routes = compiled.routes.map(describeRoute);
+  l402RoutesMiddleware.endpoints = compiled.routes.map(route => {
+    const { method, path, sats, description } = describeRoute(route);
+    const terms = route.free ? {} : gates.get(route).terms;
+    return {
+      method,
+      path,
+      ...terms,
+      // The table price is the list price even when a function adjusts it
+      amountSats: sats,
+      dynamicPrice: !route.free && dynamicPrice,
+      description: description || terms.description || null
+    };
+  });
+  l402RoutesMiddleware.match = (method, url) => {
+    const found = lookup(method, url);
+    if (!found) return null;
+    const { route, ...info } = found;
+    return info;
   };
-}
+
+  if (discoveryOpts) {
+    discovery = l402Discovery(l402RoutesMiddleware, discoveryOpts === true ? {} : discoveryOpts);
+  }
+  return l402RoutesMiddleware;
+};
 
 module.exports = {
   l402,
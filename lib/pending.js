@@ -0,0 +1,126 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Pending Client Payments
+ *
+ * A challenge is recorded here before its invoice is paid, and removed once
+ * the paid request has gone through. Anything left behind — a payment that
+ * timed out, a crash between paying and retrying — can be checked against
+ * the wallet and resumed instead of paid for again.
+ *
+ * A record looks like:
+ *   { paymentHash, scopeKey, url, method, scheme, invoice, macaroon,
+ *     amountSats, createdAt, preimage }
+ *
+ * `preimage` is null until the payment is known to have gone through.
+ * With a file path the records are snapshotted to disk (written to a
+ * temporary file and renamed over the old one) after every change.
+ */
+
+class PendingPayments {
+  /**
+   * @param {string} [filePath] - Path of the snapshot file (created if missing); in-memory if omitted
+   */
+  constructor(filePath) {
+    this.filePath = filePath || null;
+    this.records = new Map();
+    this.loaded = null;
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        if (!this.filePath) return;
+        let text;
+        try {
+          text = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        for (const record of JSON.parse(text)) {
+          this.records.set(record.paymentHash, record);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  // Apply a change in memory and snapshot it, one write at a time
+  write(change) {
+    const run = this.queue.then(async () => {
+      await this.load();
+      const result = change(this.records);
+      if (this.filePath) {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify([...this.records.values()]), { mode: 0o600 });
+        await fs.promises.rename(tmpPath, this.filePath);
+      }
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Record a challenge that is about to be paid.
+   * @param {object} record - Must include paymentHash
+   */
+  async add(record) {
+    await this.write(records => {
+      records.set(record.paymentHash, { preimage: null, createdAt: Date.now(), ...record });
+    });
+  }
+
+  /**
+   * Merge fields into a record (e.g. the preimage once paid).
+   * @param {string} paymentHash
+   * @param {object} fields
+   * @returns {Promise<object|null>}
+   */
+  update(paymentHash, fields) {
+    return this.write(records => {
+      const record = records.get(paymentHash);
+      if (!record) return null;
+      Object.assign(record, fields);
+      return { ...record };
+    });
+  }
+
+  /**
+   * Forget a record once its request has completed.
+   * @param {string} paymentHash
+   */
+  async remove(paymentHash) {
+    await this.write(records => records.delete(paymentHash));
+  }
+
+  /**
+   * @param {string} paymentHash
+   * @returns {Promise<object|null>}
+   */
+  async get(paymentHash) {
+    await this.load();
+    const record = this.records.get(paymentHash);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Records, oldest first, optionally only those for one credential scope.
+   * @param {string} [scopeKey] - Credential cache key the payment was for
+   * @returns {Promise<object[]>}
+   */
+  async list(scopeKey) {
+    await this.load();
+    return [...this.records.values()]
+      .filter(r => !scopeKey || r.scopeKey === scopeKey)
+      .map(r => ({ ...r }));
+  }
+}
+
+module.exports = {
+  PendingPayments
+};
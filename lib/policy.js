@@ -0,0 +1,288 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Client Payment Policies
+ *
+ * One JSON document, shared by any number of agents, saying which
+ * payments a client may make. Every payment is checked against it before
+ * the wallet is asked to pay. Loaded from a file, it is re-read whenever
+ * the file changes, so edits apply without a restart:
+ *
+ *   {
+ *     "allowHosts": ["*.example.com", "api.partner.io"],
+ *     "blockHosts": ["staging.example.com"],
+ *     "maxPriceSats": { "*": 100, "api.example.com": 500, "api.example.com/reports/*": 2000 },
+ *     "maxInvoiceExpirySeconds": 3600,
+ *     "requireHttps": true,
+ *     "allowedHours": { "from": "08:00", "to": "20:00", "days": ["mon", "tue", "wed", "thu", "fri"],
+ *                       "timeZone": "Europe/Berlin" }
+ *   }
+ *
+ * Every rule is optional. In host and path patterns `*` matches any run of
+ * characters, so `*.example.com` covers every subdomain but not
+ * example.com itself; a host pattern with a port matches host:port.
+ * Blocked hosts win over allowed ones. `maxPriceSats` is one cap, or caps
+ * keyed by host pattern with an optional path pattern, where the longest
+ * matching key applies. `allowedHours` runs from `from` up to `to` (past
+ * midnight when `from` is later) on the listed days, in `timeZone` (UTC
+ * by default).
+ */
+
+const RULES = ['allowHosts', 'blockHosts', 'maxPriceSats', 'maxInvoiceExpirySeconds', 'requireHttps', 'allowedHours'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidSats(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function globToRegExp(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function hostPattern(pattern) {
+  const re = globToRegExp(pattern);
+  const withPort = pattern.includes(':');
+  return { pattern, matches: (url) => re.test(withPort ? url.host : url.hostname) };
+}
+
+function hostList(rule, list) {
+  if (!Array.isArray(list) || !list.every(p => typeof p === 'string' && p)) {
+    throw new Error(`PaymentPolicy: ${rule} must be an array of host patterns`);
+  }
+  return list.map(hostPattern);
+}
+
+function priceCaps(caps) {
+  if (isValidSats(caps)) caps = { '*': caps };
+  if (!caps || typeof caps !== 'object' || Array.isArray(caps)) {
+    throw new Error('PaymentPolicy: maxPriceSats must be a number or an object of caps');
+  }
+  return Object.entries(caps).map(([key, sats]) => {
+    if (!isValidSats(sats)) throw new Error(`PaymentPolicy: maxPriceSats for "${key}" must be a non-negative number`);
+    const slash = key.indexOf('/');
+    const host = hostPattern(slash === -1 ? key : key.slice(0, slash) || '*');
+    const path = slash === -1 ? null : globToRegExp(key.slice(slash));
+    return { key, sats, matches: (url) => host.matches(url) && (!path || path.test(url.pathname)) };
+  });
+}
+
+function minutes(rule, value) {
+  const match = TIME.exec(value);
+  if (!match) throw new Error(`PaymentPolicy: allowedHours.${rule} must look like "HH:MM"`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function hoursWindow(hours) {
+  if (!hours || typeof hours !== 'object') {
+    throw new Error('PaymentPolicy: allowedHours must be { from, to, days, timeZone }');
+  }
+  const days = hours.days || DAYS;
+  if (!Array.isArray(days) || !days.every(d => DAYS.includes(String(d).toLowerCase()))) {
+    throw new Error(`PaymentPolicy: allowedHours.days must list days as ${DAYS.join(', ')}`);
+  }
+  const timeZone = hours.timeZone || 'UTC';
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    });
+  } catch {
+    throw new Error(`PaymentPolicy: unknown allowedHours.timeZone "${timeZone}"`);
+  }
+  return {
+    from: minutes('from', hours.from),
+    to: minutes('to', hours.to),
+    days: days.map(d => String(d).toLowerCase()),
+    label: `${hours.from}-${hours.to} ${timeZone}${hours.days ? ` on ${hours.days.join(', ')}` : ''}`,
+    format
+  };
+}
+
+/**
+ * Validate a policy document and compile its patterns.
+ * @param {object} rules
+ * @returns {object}
+ */
+function compileRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('PaymentPolicy: policy must be a JSON object');
+  }
+  for (const name of Object.keys(rules)) {
+    if (!RULES.includes(name)) throw new Error(`PaymentPolicy: unknown rule "${name}"`);
+  }
+  if (rules.maxInvoiceExpirySeconds !== undefined &&
+      !(Number.isFinite(rules.maxInvoiceExpirySeconds) && rules.maxInvoiceExpirySeconds > 0)) {
+    throw new Error('PaymentPolicy: maxInvoiceExpirySeconds must be a positive number');
+  }
+  if (rules.requireHttps !== undefined && typeof rules.requireHttps !== 'boolean') {
+    throw new Error('PaymentPolicy: requireHttps must be true or false');
+  }
+
+  return {
+    allowHosts: rules.allowHosts !== undefined ? hostList('allowHosts', rules.allowHosts) : null,
+    blockHosts: rules.blockHosts !== undefined ? hostList('blockHosts', rules.blockHosts) : null,
+    maxPriceSats: rules.maxPriceSats !== undefined ? priceCaps(rules.maxPriceSats) : null,
+    maxInvoiceExpirySeconds: rules.maxInvoiceExpirySeconds ?? null,
+    requireHttps: rules.requireHttps || false,
+    allowedHours: rules.allowedHours !== undefined ? hoursWindow(rules.allowedHours) : null
+  };
+}
+
+class PaymentPolicy {
+  /**
+   * @param {object|string} source - Policy rules, or the path of a JSON policy file
+   */
+  constructor(source = {}) {
+    this.filePath = typeof source === 'string' ? source : null;
+    this.rules = null;
+    // Bumped on every (re)load, so evaluations say which policy they ran against
+    this.version = 0;
+    // Why the last reload failed; the previous rules stay in force meanwhile
+    this.error = null;
+    this.fileStamp = null;
+
+    if (this.filePath) {
+      this.reload();
+    } else {
+      this.setRules(source);
+    }
+  }
+
+  /**
+   * Replace the rules.
+   * @param {object} rules - Policy document
+   */
+  setRules(rules) {
+    this.rules = compileRules(rules);
+    this.version++;
+  }
+
+  /**
+   * Read the policy file again. Throws if it is missing or invalid.
+   */
+  reload() {
+    let rules;
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+      rules = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`PaymentPolicy: could not load ${this.filePath}: ${err.message}`);
+    }
+    this.setRules(rules);
+    this.fileStamp = `${stat.mtimeMs}:${stat.size}`;
+    this.error = null;
+  }
+
+  /**
+   * Reload the file if it changed since it was last read. A file that
+   * fails to load leaves the previous rules in force (see `error`).
+   */
+  refresh() {
+    if (!this.filePath) return;
+    let stamp;
+    try {
+      const stat = fs.statSync(this.filePath);
+      stamp = `${stat.mtimeMs}:${stat.size}`;
+    } catch (err) {
+      this.error = err;
+      return;
+    }
+    if (stamp === this.fileStamp) return;
+    try {
+      this.reload();
+    } catch (err) {
+      this.error = err;
+      this.fileStamp = stamp;
+    }
+  }
+
+  /**
+   * Check a payment against every rule.
+   * @param {object} payment
+   * @param {string} payment.url - URL being paid for
+   * @param {number|null} payment.amountSats - Invoice amount
+   * @param {number} [payment.expirySeconds] - Invoice expiry
+   * @param {number} [now=Date.now()]
+   * @returns {{ allowed: boolean, violation: { rule: string, message: string }|null,
+   *   checks: Array<{ rule: string, passed: boolean, detail: string }>, version: number, evaluatedAt: number }}
+   */
+  evaluate(payment, now = Date.now()) {
+    this.refresh();
+    const rules = this.rules;
+    const url = new URL(payment.url);
+    const checks = [];
+    const check = (rule, passed, detail) => checks.push({ rule, passed, detail });
+
+    if (rules.requireHttps) {
+      check('requireHttps', url.protocol === 'https:', `${url.protocol.slice(0, -1)} request`);
+    }
+
+    if (rules.blockHosts) {
+      const blocked = rules.blockHosts.find(p => p.matches(url));
+      check('blockHosts', !blocked, blocked ? `${url.host} matches blocked "${blocked.pattern}"` : `${url.host} is not blocked`);
+    }
+
+    if (rules.allowHosts) {
+      const allowed = rules.allowHosts.find(p => p.matches(url));
+      check('allowHosts', Boolean(allowed), allowed ? `${url.host} matches "${allowed.pattern}"` : `${url.host} is not an allowed host`);
+    }
+
+    if (rules.maxPriceSats) {
+      const cap = rules.maxPriceSats
+        .filter(c => c.matches(url))
+        .sort((a, b) => b.key.length - a.key.length)[0];
+      if (cap) {
+        const amount = payment.amountSats;
+        check(
+          'maxPriceSats',
+          amount !== null && amount !== undefined && amount <= cap.sats,
+          amount === null || amount === undefined
+            ? `invoice has no amount to check against the ${cap.sats} sat cap for "${cap.key}"`
+            : `${amount} sats against the ${cap.sats} sat cap for "${cap.key}"`
+        );
+      }
+    }
+
+    if (rules.maxInvoiceExpirySeconds !== null && payment.expirySeconds !== undefined) {
+      check(
+        'maxInvoiceExpirySeconds',
+        payment.expirySeconds <= rules.maxInvoiceExpirySeconds,
+        `invoice expires after ${payment.expirySeconds}s (at most ${rules.maxInvoiceExpirySeconds}s allowed)`
+      );
+    }
+
+    if (rules.allowedHours) {
+      const hours = rules.allowedHours;
+      const parts = Object.fromEntries(hours.format.formatToParts(new Date(now)).map(p => [p.type, p.value]));
+      const day = parts.weekday.toLowerCase();
+      const time = Number(parts.hour) * 60 + Number(parts.minute);
+      // A window past midnight (22:00-06:00) belongs to the day it started on
+      const overnight = hours.from > hours.to;
+      const startedOn = overnight && time < hours.to ? DAYS[(DAYS.indexOf(day) + 6) % 7] : day;
+      const inWindow = overnight ? time >= hours.from || time < hours.to : time >= hours.from && time < hours.to;
+      check(
+        'allowedHours',
+        inWindow && hours.days.includes(startedOn),
+        `${day} ${parts.hour}:${parts.minute} against ${hours.label}`
+      );
+    }
+
+    const failed = checks.find(c => !c.passed);
+    return {
+      allowed: !failed,
+      violation: failed ? { rule: failed.rule, message: `L402 payment refused by policy (${failed.rule}): ${failed.detail}` } : null,
+      checks,
+      version: this.version,
+      evaluatedAt: now
+    };
+  }
+}
+
+module.exports = {
+  PaymentPolicy
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Route Pricing Tables
+ *
+ * A table maps "METHOD /path" patterns to prices:
+ *
+ *   {
+ *     'GET /':                  0,                     // listed, free
+ *     'GET /api/ping':          1,
+ *     'GET /api/trust/:pubkey': { sats: 10, description: 'Trust lookup' },
+ *     'POST /api/files/*':      { sats: 50, maxCalls: 1 }
+ *   }
+ *
+ * `:name` matches one path segment (available as params.name) and a
+ * trailing `*` matches the rest of the path. `*` as the method matches
+ * any method, and GET routes also answer HEAD. The first matching entry
+ * wins, in table order.
+ *
+ * Paths are matched the way Express routes them, so a paid route can't be
+ * reached for free under another spelling: case-insensitively, ignoring a
+ * trailing slash and empty segments (`/api//ping`), with percent-escapes
+ * decoded.
+ *
+ * Object entries may carry any l402() option besides `sats` and
+ * `description` (scope, maxCalls, accessDurationSeconds, ...), overriding
+ * the shared options for that route.
+ */
+
+const METHOD = /^(\*|[A-Z]+)$/;
+
+function isValidSats(sats) {
+  return typeof sats === 'number' && Number.isFinite(sats) && sats >= 0;
+}
+
+/**
+ * Parse a "METHOD /path" key into its method and path pattern.
+ * @param {string} key
+ * @returns {{ method: string, path: string, segments: string[], wildcard: boolean }}
+ */
+function parsePattern(key) {
+  const [method, path, extra] = String(key).trim().split(/\s+/);
+  if (!method || !path || extra !== undefined || !METHOD.test(method.toUpperCase()) || !path.startsWith('/')) {
+    throw new Error(`l402 routes: "${key}" must look like "GET /path"`);
+  }
+
+  const segments = path.split('/').filter(Boolean);
+  const wildcard = segments[segments.length - 1] === '*';
+  if (wildcard) segments.pop();
+  return { method: method.toUpperCase(), path, segments, wildcard };
+}
+
+/**
+ * Validate and normalize one table entry.
+ * @param {string} key - "METHOD /path"
+ * @param {number|object} value - Price in sats, or { sats, description, ...options }
+ * @returns {object} Route
+ */
+function compileRoute(key, value) {
+  const pattern = parsePattern(key);
+  const entry = typeof value === 'number' ? { sats: value } : value;
+  if (!entry || typeof entry !== 'object' || !isValidSats(entry.sats)) {
+    throw new Error(`l402 routes: "${key}" needs a price in sats (0 for free)`);
+  }
+
+  const { sats, description, ...options } = entry;
+  return {
+    key,
+    ...pattern,
+    sats,
+    description: description || null,
+    free: sats === 0,
+    options
+  };
+}
+
+/**
+ * A pathname's non-empty segments, percent-decoded where they decode.
+ * @param {string} pathname
+ * @returns {string[]}
+ */
+function pathSegments(pathname) {
+  return pathname.split('/').filter(Boolean).map(part => {
+    try {
+      return decodeURIComponent(part);
+    } catch {
+      return part;
+    }
+  });
+}
+
+/**
+ * Path parameters if a pathname matches a route's pattern, else null.
+ * @param {object} route
+ * @param {string} pathname
+ * @returns {object|null}
+ */
+function matchPath(route, pathname) {
+  const parts = pathSegments(pathname);
+  if (route.wildcard ? parts.length < route.segments.length : parts.length !== route.segments.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < route.segments.length; i++) {
+    const segment = route.segments[i];
+    if (segment.startsWith(':')) {
+      params[segment.slice(1)] = parts[i];
+    } else if (segment.toLowerCase() !== parts[i].toLowerCase()) {
+      return null;
+    }
+  }
+  if (route.wildcard) params['*'] = parts.slice(route.segments.length).join('/');
+  return params;
+}
+
+/**
+ * The path a matched request is scoped to: the table's spelling of the
+ * route's fixed segments with the request's parameters filled in, so every
+ * spelling that matches (see matchPath) gets the same token scope.
+ * @param {object} route
+ * @param {object} params - As returned by matchRoute
+ * @returns {string}
+ */
+function canonicalPath(route, params) {
+  const parts = route.segments.map(segment => (
+    segment.startsWith(':') ? encodeURIComponent(params[segment.slice(1)]) : segment
+  ));
+  if (route.wildcard && params['*']) parts.push(params['*']);
+  return `/${parts.join('/')}`;
+}
+
+/**
+ * Path parameters if a request matches a route (or parsed pattern), else null.
+ * @param {object} route
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {object|null}
+ */
+function matchRoute(route, method, pathname) {
+  const upper = (method || 'GET').toUpperCase();
+  if (route.method !== '*' && route.method !== upper && !(route.method === 'GET' && upper === 'HEAD')) {
+    return null;
+  }
+  return matchPath(route, pathname);
+}
+
+/**
+ * Compile a pricing table.
+ * @param {object} table - { "METHOD /path": sats | { sats, description, ...options } }
+ * @returns {{ routes: object[], match: function }}
+ */
+function compileRoutes(table) {
+  if (!table || typeof table !== 'object') {
+    throw new Error('l402 routes requires a table of "METHOD /path" → price');
+  }
+  const routes = Object.entries(table).map(([key, value]) => compileRoute(key, value));
+
+  /**
+   * Find the route for a request.
+   * @param {string} method
+   * @param {string} url - Path, with or without a query string
+   * @returns {{ route: object, params: object } | null}
+   */
+  function match(method, url) {
+    let pathname;
+    try {
+      pathname = new URL(url || '/', 'http://localhost').pathname;
+    } catch {
+      return null;
+    }
+    for (const route of routes) {
+      const params = matchRoute(route, method, pathname);
+      if (params) return { route, params };
+    }
+    return null;
+  }
+
+  return { routes, match };
+}
+
+/**
+ * Public description of a route, for info pages, logs and discovery.
+ * @param {object} route
+ * @returns {{ method: string, path: string, sats: number, description: string|null }}
+ */
+function describeRoute(route) {
+  return { method: route.method, path: route.path, sats: route.sats, description: route.description };
+}
+
+module.exports = {
+  compileRoutes,
+  describeRoute,
+  canonicalPath,
+  parsePattern,
+  matchRoute
+};
@@ -0,0 +1,315 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * L402 Token Stores
+ *
+ * Keep track of issued invoices/tokens for the l402() middleware.
+ * Any object implementing the async interface below can be passed as
+ * `opts.store`, e.g. a thin wrapper around Redis or a database table.
+ *
+ *   put(paymentHash, record)     → Promise<void>
+ *   get(paymentHash)             → Promise<record | null>
+ *   markSettled(paymentHash)     → Promise<record | null>
+ *   consume(paymentHash)         → Promise<record | null>  (increments `uses`)
+ *   expire([now], [isPaid])      → Promise<number>         (entries removed)
+ *
+ * Prepaid mode additionally needs balance accounts:
+ *
+ *   credit(accountId, sats, ref) → Promise<number>  (new balance; once per ref)
+ *   debit(accountId, sats)       → Promise<number | null>  (null if insufficient)
+ *   getBalance(accountId)        → Promise<number>
+ *
+ * A record looks like:
+ *   { paymentHash, invoice, amountSats, createdAt, invoiceExpiresAt,
+ *     expiresAt, maxCalls, scopeCaveats, accountId, settled, settledAt, uses }
+ */
+
+// How long an invoice nobody has presented is kept past its expiry when the
+// wallet can't say whether it was paid: the payer may still be retrying
+const UNPRESENTED_GRACE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What expire() does with a record: 'delete' it once its access expiry
+ * has passed, or once its invoice expired unpaid; 'settle' it if the
+ * invoice was paid but the token hasn't been presented yet; else 'keep'.
+ * `settled` is only set when a token is first presented, so an expired
+ * invoice that isn't settled is checked with `isPaid` before it is
+ * dropped, or kept for a grace period when that can't tell.
+ * @param {string} paymentHash
+ * @param {object} record
+ * @param {number} now
+ * @param {function} [isPaid] - async (paymentHash) => true, false or null (unknown)
+ * @returns {Promise<'delete'|'settle'|'keep'>}
+ */
+async function sweepAction(paymentHash, record, now, isPaid) {
+  if (record.expiresAt && now > record.expiresAt) return 'delete';
+  if (record.settled || !record.invoiceExpiresAt || now <= record.invoiceExpiresAt) return 'keep';
+
+  let paid = null;
+  if (isPaid) {
+    try {
+      paid = await isPaid(paymentHash);
+    } catch {
+      // Unknown: fall back to the grace period
+    }
+  }
+  if (paid === true) return 'settle';
+  if (paid === false) return 'delete';
+  return now > record.invoiceExpiresAt + UNPRESENTED_GRACE_MS ? 'delete' : 'keep';
+}
+
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+    this.accounts = new Map();
+  }
+
+  account(accountId) {
+    let account = this.accounts.get(accountId);
+    if (!account) {
+      account = { balanceSats: 0, refs: new Set() };
+      this.accounts.set(accountId, account);
+    }
+    return account;
+  }
+
+  async credit(accountId, sats, ref) {
+    const account = this.account(accountId);
+    if (!account.refs.has(ref)) {
+      account.refs.add(ref);
+      account.balanceSats += sats;
+    }
+    return account.balanceSats;
+  }
+
+  async debit(accountId, sats) {
+    const account = this.account(accountId);
+    if (account.balanceSats < sats) return null;
+    account.balanceSats -= sats;
+    return account.balanceSats;
+  }
+
+  async getBalance(accountId) {
+    const account = this.accounts.get(accountId);
+    return account ? account.balanceSats : 0;
+  }
+
+  async put(paymentHash, record) {
+    this.records.set(paymentHash, { ...record, paymentHash });
+  }
+
+  async get(paymentHash) {
+    const record = this.records.get(paymentHash);
+    return record ? { ...record } : null;
+  }
+
+  async markSettled(paymentHash) {
+    const record = this.records.get(paymentHash);
+    if (!record) return null;
+    if (!record.settled) {
+      record.settled = true;
+      record.settledAt = Date.now();
+    }
+    return { ...record };
+  }
+
+  async consume(paymentHash) {
+    const record = this.records.get(paymentHash);
+    if (!record) return null;
+    record.uses = (record.uses || 0) + 1;
+    return { ...record };
+  }
+
+  /**
+   * Drop expired records (see sweepAction).
+   * @param {number} [now=Date.now()]
+   * @param {function} [isPaid] - async (paymentHash) => whether its invoice was paid (null if unknown)
+   * @returns {Promise<number>} Records removed
+   */
+  async expire(now = Date.now(), isPaid) {
+    let removed = 0;
+    for (const [hash, record] of [...this.records]) {
+      const action = await sweepAction(hash, record, now, isPaid);
+      if (action === 'settle') {
+        await this.markSettled(hash);
+      } else if (action === 'delete') {
+        this.records.delete(hash);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Durable store backed by an append-only JSON-lines log.
+ *
+ * Every mutation is appended as one line; on startup the log is replayed.
+ * Once the log holds many more lines than live records it is compacted by
+ * writing a snapshot to a temporary file and renaming it over the log.
+ *
+ * The log is replayed only when the store is opened, so a FileStore is for
+ * one process: several processes on one file don't see each other's tokens,
+ * and compaction would drop the others' writes. Use a shared database to
+ * scale out.
+ */
+class FileStore {
+  /**
+   * @param {string} filePath - Path of the log file (created if missing)
+   * @param {object} [opts]
+   * @param {number} [opts.compactThreshold=1000] - Minimum log lines before compaction is considered
+   */
+  constructor(filePath, opts = {}) {
+    if (!filePath) throw new Error('FileStore requires a file path');
+    this.filePath = filePath;
+    this.compactThreshold = opts.compactThreshold || 1000;
+    this.memory = new MemoryStore();
+    this.lines = 0;
+    this.loaded = null;
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        let data = Buffer.alloc(0);
+        try {
+          data = await fs.promises.readFile(this.filePath);
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+        // Cut off a torn final line from a crash mid-write, so the next
+        // append starts on a line of its own
+        const end = data.lastIndexOf(0x0a) + 1;
+        if (end < data.length) {
+          await fs.promises.truncate(this.filePath, end);
+          data = data.subarray(0, end);
+        }
+        for (const line of data.toString('utf8').split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            await this.apply(JSON.parse(line));
+            this.lines++;
+          } catch {
+            // Skip a corrupt line
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  apply(entry) {
+    switch (entry.op) {
+      case 'put': return this.memory.put(entry.key, entry.record);
+      case 'settle': return this.memory.markSettled(entry.key);
+      case 'consume': return this.memory.consume(entry.key);
+      case 'delete': this.memory.records.delete(entry.key); return null;
+      case 'credit': return this.memory.credit(entry.key, entry.sats, entry.ref);
+      case 'debit': return this.memory.debit(entry.key, entry.sats);
+      case 'account':
+        this.memory.accounts.set(entry.key, { balanceSats: entry.balanceSats, refs: new Set(entry.refs) });
+        return null;
+      default: return null;
+    }
+  }
+
+  // Apply an entry in memory and append it to the log, one write at a time
+  write(entry) {
+    const run = this.queue.then(async () => {
+      await this.load();
+      const result = await this.apply(entry);
+      await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+      this.lines++;
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async put(paymentHash, record) {
+    await this.write({ op: 'put', key: paymentHash, record });
+  }
+
+  async get(paymentHash) {
+    await this.load();
+    return this.memory.get(paymentHash);
+  }
+
+  async markSettled(paymentHash) {
+    await this.load();
+    const record = await this.memory.get(paymentHash);
+    if (!record) return null;
+    if (record.settled) return record;
+    return this.write({ op: 'settle', key: paymentHash });
+  }
+
+  async consume(paymentHash) {
+    await this.load();
+    if (!this.memory.records.has(paymentHash)) return null;
+    return this.write({ op: 'consume', key: paymentHash });
+  }
+
+  async credit(accountId, sats, ref) {
+    await this.load();
+    if (this.memory.account(accountId).refs.has(ref)) return this.memory.getBalance(accountId);
+    return this.write({ op: 'credit', key: accountId, sats, ref });
+  }
+
+  async debit(accountId, sats) {
+    await this.load();
+    if (await this.memory.getBalance(accountId) < sats) return null;
+    return this.write({ op: 'debit', key: accountId, sats });
+  }
+
+  async getBalance(accountId) {
+    await this.load();
+    return this.memory.getBalance(accountId);
+  }
+
+  async expire(now = Date.now(), isPaid) {
+    await this.load();
+    const expired = [];
+    for (const [hash, record] of [...this.memory.records]) {
+      const action = await sweepAction(hash, record, now, isPaid);
+      if (action === 'settle') await this.markSettled(hash);
+      if (action === 'delete') expired.push(hash);
+    }
+    for (const hash of expired) {
+      await this.write({ op: 'delete', key: hash });
+    }
+    if (this.lines >= this.compactThreshold && this.lines > 2 * this.memory.records.size) {
+      await this.compact();
+    }
+    return expired.length;
+  }
+
+  /**
+   * Rewrite the log as one `put` per live record.
+   */
+  compact() {
+    const run = this.queue.then(async () => {
+      await this.load();
+      const lines = [];
+      for (const [key, record] of this.memory.records) {
+        lines.push(JSON.stringify({ op: 'put', key, record }));
+      }
+      for (const [key, account] of this.memory.accounts) {
+        lines.push(JSON.stringify({ op: 'account', key, balanceSats: account.balanceSats, refs: [...account.refs] }));
+      }
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+      await fs.promises.rename(tmpPath, this.filePath);
+      this.lines = lines.length;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore
+};
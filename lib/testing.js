@@ -0,0 +1,180 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { encodeInvoice, decodeInvoice } = require('./bolt11');
+const { l402 } = require('./middleware');
+
+/**
+ * Test Harness
+ *
+ * In-process stand-ins for a Lightning wallet and an L402 server, for
+ * integration tests that exercise the whole challenge → pay → retry path
+ * without a node:
+ *
+ *   const { createMockWallet, createTestServer } = require('l402-agent/testing');
+ *
+ *   const server = await createTestServer({ amountSats: 10 });
+ *   const wallet = createMockWallet({ balanceSats: 1000 });
+ *   const res = await l402Fetch(`${server.url}/data`, { wallet });
+ *   await server.close();
+ *
+ * Mock wallets issue real preimage/hash pairs and BOLT11 invoices (with a
+ * zeroed signature). Invoices from every mock wallet in the process go
+ * into one registry, so a client's wallet can pay a server's invoices and
+ * the server sees them settle.
+ */
+
+// paymentHash → { invoice, preimage, amountSats, expiresAt, settled, payee }
+const invoices = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create an in-memory wallet with the lightning-agent wallet API.
+ * @param {object} [opts]
+ * @param {number} [opts.balanceSats=Infinity] - Spendable balance; payments beyond it fail
+ * @param {number} [opts.latencyMs=0] - Delay before each payInvoice settles
+ * @param {number} [opts.feeSats=0] - Routing fee charged per payment
+ * @param {string} [opts.network='bitcoin'] - Network of issued invoices
+ * @returns {object} Wallet with createInvoice, payInvoice, lookupInvoice, waitForPayment and failNext
+ */
+function createMockWallet(opts = {}) {
+  const failures = [];
+  const wallet = {
+    balanceSats: opts.balanceSats ?? Infinity,
+    latencyMs: opts.latencyMs || 0,
+    feeSats: opts.feeSats || 0,
+    network: opts.network || 'bitcoin',
+    // Payments this wallet made, and invoices of its own that were paid
+    payments: 0,
+    received: 0,
+
+    async createInvoice({ amountSats, description, expiry = 3600 }) {
+      const preimage = crypto.randomBytes(32).toString('hex');
+      const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+      const invoice = encodeInvoice({ paymentHash, amountSats, description, expiry, network: wallet.network });
+      invoices.set(paymentHash, {
+        invoice,
+        preimage,
+        amountSats: amountSats || 0,
+        expiresAt: Date.now() + expiry * 1000,
+        settled: false,
+        payee: wallet
+      });
+      return { invoice, paymentHash, amountSats };
+    },
+
+    async payInvoice(invoice) {
+      if (wallet.latencyMs) await sleep(wallet.latencyMs);
+
+      const failure = failures.shift();
+      if (failure && !failure.settle) throw new Error(failure.message);
+
+      let paymentHash;
+      try {
+        paymentHash = decodeInvoice(invoice).paymentHash;
+      } catch {
+        throw new Error('invalid invoice');
+      }
+      const entry = invoices.get(paymentHash);
+      if (!entry || entry.invoice !== invoice) throw new Error('unknown invoice');
+      if (entry.settled) throw new Error('invoice already paid');
+      if (Date.now() > entry.expiresAt) throw new Error('invoice expired');
+      if (entry.amountSats + wallet.feeSats > wallet.balanceSats) throw new Error('insufficient balance');
+
+      wallet.balanceSats -= entry.amountSats + wallet.feeSats;
+      entry.payee.balanceSats += entry.amountSats;
+      entry.payee.received++;
+      entry.settled = true;
+      wallet.payments++;
+
+      // The payment went through, but the caller never hears about it
+      if (failure) throw new Error(failure.message);
+      return { preimage: entry.preimage, feeSats: wallet.feeSats };
+    },
+
+    async lookupInvoice(paymentHash) {
+      const entry = invoices.get(paymentHash);
+      if (!entry || !entry.settled) return { paid: false, settled: false };
+      return { paid: true, settled: true, preimage: entry.preimage, amountSats: entry.amountSats };
+    },
+
+    async waitForPayment(paymentHash, { timeoutMs = 5000 } = {}) {
+      const deadline = Date.now() + timeoutMs;
+      for (;;) {
+        const result = await wallet.lookupInvoice(paymentHash);
+        if (result.paid || Date.now() >= deadline) return result;
+        await sleep(Math.min(10, Math.max(0, deadline - Date.now())));
+      }
+    },
+
+    /**
+     * Make the next payInvoice call fail.
+     * @param {string} [message='payment failed'] - Error message
+     * @param {object} [failOpts]
+     * @param {boolean} [failOpts.settle=false] - Settle the payment first, as when a
+     *   connection drops after the payment went out
+     */
+    failNext(message = 'payment failed', failOpts = {}) {
+      failures.push({ message, settle: Boolean(failOpts.settle) });
+    }
+  };
+  return wallet;
+}
+
+/**
+ * Serve a request handler on an ephemeral localhost port.
+ * @param {function} handler - (req, res) Node request listener
+ * @returns {Promise<{ url: string, server: http.Server, close: function }>}
+ */
+function listen(handler) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(handler);
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        server,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+/**
+ * Serve l402() on an ephemeral localhost port.
+ * @param {object} [opts] - l402() options; a new mock wallet and amountSats 10 are used if omitted
+ * @param {function} [opts.handler] - (req, res) for paid requests; default responds with
+ *   200 and JSON { ok: true, path, l402: req.l402 }
+ * @returns {Promise<{ url: string, wallet: object, middleware: function, server: http.Server, close: function }>}
+ */
+async function createTestServer(opts = {}) {
+  const { handler, ...l402Opts } = opts;
+  const wallet = l402Opts.wallet || createMockWallet();
+  const middleware = l402({ amountSats: 10, ...l402Opts, wallet });
+  const paid = handler || ((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ ok: true, path: req.url, l402: req.l402 }));
+  });
+
+  const listening = await listen((req, res) => {
+    middleware(req, res, (err) => {
+      if (err) {
+        res.statusCode = 500;
+        res.end(err.message);
+        return;
+      }
+      paid(req, res);
+    });
+  });
+  return { ...listening, wallet, middleware };
+}
+
+module.exports = {
+  createMockWallet,
+  createTestServer,
+  listen
+};
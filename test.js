@@ -1,14 +1,27 @@
 'use strict';
 
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
   l402,
   verifyPreimage,
   parseAuthHeader,
   buildWwwAuthenticateHeader,
   l402Fetch,
-  parseWwwAuthenticate
+  parseWwwAuthenticate,
+  parseChallenges,
+  inspectToken,
+  MemoryStore,
+  FileStore,
+  decodeInvoice,
+  encodeInvoice,
+  SpendingBudget,
+  PaymentLedger,
+  PendingPayments
 } = require('./lib/index');
+const { createMockWallet, createTestServer, listen } = require('./lib/testing');
 
 // ─── Test helpers ───
 
@@ -36,6 +49,24 @@ function assertThrows(fn, message) {
   }
 }
 
+function createMockRes() {
+  const res = {
+    statusCode: null,
+    headers: {},
+    body: null,
+    setHeader(k, v) { res.headers[k] = v; },
+    end(data) { res.body = data; }
+  };
+  return res;
+}
+
+// Trigger a 402 from middleware and return the parsed challenge body
+async function issueChallenge(mw) {
+  const res = createMockRes();
+  await mw({ headers: {} }, res, () => {});
+  return JSON.parse(res.body);
+}
+
 // Known test pair
 const KNOWN_PREIMAGE = '0000000000000000000000000000000000000000000000000000000000000001';
 const KNOWN_HASH = crypto.createHash('sha256')
@@ -50,17 +81,9 @@ console.log('─'.repeat(40));
 // Middleware creation
 console.log('\nMiddleware creation:');
 
-const fakeWallet = {
-  createInvoice: async () => ({
-    invoice: 'lnbc250n1fake',
-    paymentHash: 'abc123',
-    amountSats: 25
-  }),
-  payInvoice: async () => ({ preimage: 'def456' }),
-  decodeInvoice: () => ({ amountSats: 25 })
-};
-
-const mw = l402({ wallet: fakeWallet, amountSats: 25 });
+const mockWallet = createMockWallet();
+
+const mw = l402({ wallet: mockWallet, amountSats: 25 });
 assert(typeof mw === 'function', 'l402() returns a function');
 assert(mw.length === 3, 'middleware has (req, res, next) signature');
 
@@ -73,22 +96,22 @@ assertThrows(
 );
 
 assertThrows(
-  () => l402({ wallet: fakeWallet }),
+  () => l402({ wallet: mockWallet }),
   'throws without amountSats'
 );
 
 assertThrows(
-  () => l402({ wallet: fakeWallet, amountSats: 0 }),
+  () => l402({ wallet: mockWallet, amountSats: 0 }),
   'throws with amountSats = 0'
 );
 
 assertThrows(
-  () => l402({ wallet: fakeWallet, amountSats: -10 }),
+  () => l402({ wallet: mockWallet, amountSats: -10 }),
   'throws with negative amountSats'
 );
 
 assertThrows(
-  () => l402({ wallet: fakeWallet, amountSats: 'ten' }),
+  () => l402({ wallet: mockWallet, amountSats: 'ten' }),
   'throws with non-number amountSats'
 );
 
@@ -121,6 +144,22 @@ assert(
   'preimage against wrong hash is rejected'
 );
 
+{
+  const shortPreimage = 'abcd';
+  const shortHash = crypto.createHash('sha256').update(Buffer.from(shortPreimage, 'hex')).digest('hex');
+  assert(!verifyPreimage(shortPreimage, shortHash), 'preimage shorter than 32 bytes is rejected');
+}
+
+assert(
+  !verifyPreimage(KNOWN_PREIMAGE, KNOWN_HASH.substring(2)),
+  'payment hash shorter than 32 bytes is rejected'
+);
+
+assert(
+  verifyPreimage(KNOWN_PREIMAGE, KNOWN_HASH.toUpperCase()),
+  'uppercase payment hash verifies'
+);
+
 // ─── Authorization Header Parsing ───
 
 console.log('\nAuthorization header parsing:');
@@ -191,6 +230,44 @@ const lowerWww = `l402 invoice="${testInvoice}", macaroon="${testMacaroon}"`;
 const parsedLowerWww = parseWwwAuthenticate(lowerWww);
 assert(parsedLowerWww !== null, 'parses lowercase "l402" prefix in WWW-Authenticate');
 
+const multi = parseChallenges('Bearer realm="api", error="invalid_token", L402 macaroon="a\\\"b", invoice=lnbc1, Negotiate abc==');
+assert(
+  multi.length === 3 && multi[0].params.realm === 'api' && multi[0].params.error === 'invalid_token',
+  'parseChallenges splits a list of challenges with their params'
+);
+assert(multi[1].params.macaroon === 'a"b' && multi[1].params.invoice === 'lnbc1', 'parseChallenges unescapes quoted values and reads unquoted ones');
+assert(multi[2].scheme === 'Negotiate' && multi[2].token68 === 'abc==', 'parseChallenges reads token68 credentials');
+
+{
+  // Real macaroons are base64, with "/", "+" and "=" padding
+  const { Macaroon } = require('./lib');
+  const mac = Macaroon.mint({ rootKey: Buffer.alloc(32, 1), identifier: 'unquoted-test' });
+  mac.addFirstPartyCaveat('path=/api/data');
+  const macaroon = mac.toBase64();
+  for (const header of [`L402 macaroon=${macaroon}, invoice=${testInvoice}`, `L402 invoice=${testInvoice}, macaroon=${macaroon}`]) {
+    const unquoted = parseWwwAuthenticate(header);
+    assert(unquoted && unquoted.macaroon === macaroon && unquoted.invoice === testInvoice, `parses an unquoted macaroon and invoice (${header.slice(5, 13)} first)`);
+  }
+  const padded = parseChallenges('L402 macaroon=AgELbDQwMi1h/Zm+9d==, invoice=lnbc1');
+  assert(padded[0].params.macaroon === 'AgELbDQwMi1h/Zm+9d==' && padded[0].params.invoice === 'lnbc1', 'unquoted values keep "/", "+" and "=" padding');
+}
+
+const fromList = parseWwwAuthenticate(`Bearer realm="api", L402 MACAROON="${testMacaroon}", invoice="${testInvoice}", version="0"`);
+assert(fromList && fromList.scheme === 'L402' && fromList.invoice === testInvoice && fromList.macaroon === testMacaroon, 'picks the L402 challenge from several, ignoring extra params');
+const lsatOnly = parseWwwAuthenticate(`LSAT macaroon="${testMacaroon}", invoice="${testInvoice}"`);
+assert(lsatOnly && lsatOnly.scheme === 'LSAT', 'accepts the legacy LSAT scheme');
+const both = parseWwwAuthenticate(`LSAT macaroon="old", invoice="${testInvoice}", L402 token="${testMacaroon}", invoice="${testInvoice}"`);
+assert(both.scheme === 'L402' && both.macaroon === testMacaroon, 'prefers L402 over LSAT and accepts token=');
+assert(parseWwwAuthenticate('L402 abc==') === null, 'returns null for an L402 challenge without params');
+
+const offered = buildWwwAuthenticateHeader('lnbc1', 'mac"1', { schemes: ['L402', 'LSAT'] });
+const offeredChallenges = parseChallenges(offered);
+assert(
+  offeredChallenges.map(c => c.scheme).join() === 'L402,LSAT' && offeredChallenges.every(c => c.params.macaroon === 'mac"1'),
+  'buildWwwAuthenticateHeader can offer L402 and LSAT challenges in one header'
+);
+assert(parseAuthHeader(`LSAT ${KNOWN_HASH}:${KNOWN_PREIMAGE}`).preimage === KNOWN_PREIMAGE, 'parseAuthHeader accepts the LSAT scheme');
+
 // ─── Async tests (wrapped in IIFE to avoid top-level await) ───
 
 (async () => {
@@ -199,12 +276,17 @@ assert(parsedLowerWww !== null, 'parses lowercase "l402" prefix in WWW-Authentic
 
 console.log('\nMiddleware integration (mock req/res):');
 
-// Test: valid auth header passes through
+// Test: valid auth header passes through (after the hash was issued)
 {
-  const mw = l402({ wallet: fakeWallet, amountSats: 25 });
+  const issuingWallet = {
+    createInvoice: async () => ({ invoice: 'lnbc250n1known', paymentHash: KNOWN_HASH, amountSats: 25 })
+  };
+  const mw = l402({ wallet: issuingWallet, amountSats: 25 });
+
+  const challenge = await issueChallenge(mw);
 
   const req = {
-    headers: { authorization: `L402 ${KNOWN_HASH}:${KNOWN_PREIMAGE}` }
+    headers: { authorization: `L402 ${challenge.macaroon}:${KNOWN_PREIMAGE}` }
   };
   let nextCalled = false;
   const next = () => { nextCalled = true; };
@@ -217,11 +299,12 @@ console.log('\nMiddleware integration (mock req/res):');
   assert(req.l402.paymentHash === KNOWN_HASH, 'req.l402.paymentHash is correct');
   assert(req.l402.preimage === KNOWN_PREIMAGE, 'req.l402.preimage is correct');
   assert(req.l402.amountSats === 25, 'req.l402.amountSats is correct');
+  assert(/^[0-9a-f]{64}$/.test(req.l402.tokenId), 'req.l402.tokenId is set');
 }
 
 // Test: no auth header → 402 response
 {
-  const mw = l402({ wallet: fakeWallet, amountSats: 25 });
+  const mw = l402({ wallet: mockWallet, amountSats: 25 });
 
   const req = { headers: {} };
   let nextCalled = false;
@@ -256,7 +339,7 @@ console.log('\nMiddleware integration (mock req/res):');
 
 // Test: invalid auth header → 402 response
 {
-  const mw = l402({ wallet: fakeWallet, amountSats: 25 });
+  const mw = l402({ wallet: mockWallet, amountSats: 25 });
 
   const req = {
     headers: { authorization: `L402 ${KNOWN_HASH}:${'ff'.repeat(32)}` }
@@ -283,34 +366,1440 @@ console.log('\nMiddleware integration (mock req/res):');
   assert(statusCode === 402, 'invalid auth → 402 status');
 }
 
-// ─── Client: maxAmountSats enforcement ───
+// ─── Issued-hash enforcement ───
+
+console.log('\nIssued-hash enforcement:');
+
+// Test: self-minted preimage/hash pair is rejected
+{
+  const mw = l402({ wallet: mockWallet, amountSats: 25 });
+  const mintedPreimage = crypto.randomBytes(32).toString('hex');
+  const mintedHash = crypto.createHash('sha256')
+    .update(Buffer.from(mintedPreimage, 'hex'))
+    .digest('hex');
+
+  const req = { headers: { authorization: `L402 ${mintedHash}:${mintedPreimage}` } };
+  const res = createMockRes();
+  let nextCalled = false;
+  await mw(req, res, () => { nextCalled = true; });
+
+  assert(!nextCalled, 'self-minted credential does not call next()');
+  assert(res.statusCode === 402, 'self-minted credential gets a fresh 402');
+  assert(req.l402 === undefined, 'req.l402 not set for self-minted credential');
+}
+
+// Test: a hash issued by one middleware is accepted by another sharing the store
+{
+  const issuingWallet = {
+    createInvoice: async () => ({ invoice: 'lnbc250n1known', paymentHash: KNOWN_HASH, amountSats: 25 })
+  };
+  const store = new MemoryStore();
+  const rootKey = crypto.randomBytes(32);
+  const mwA = l402({ wallet: issuingWallet, amountSats: 25, store, rootKey });
+  const mwB = l402({ wallet: issuingWallet, amountSats: 25, store, rootKey });
+  const mwC = l402({ wallet: issuingWallet, amountSats: 25, rootKey });
+
+  const challenge = await issueChallenge(mwA);
+  const auth = `L402 ${challenge.macaroon}:${KNOWN_PREIMAGE}`;
+
+  let nextB = false;
+  await mwB({ headers: { authorization: auth } }, createMockRes(), () => { nextB = true; });
+  assert(nextB, 'shared store: hash issued by another middleware is accepted');
+
+  let nextC = false;
+  await mwC({ headers: { authorization: auth } }, createMockRes(), () => { nextC = true; });
+  assert(!nextC, 'separate store: hash issued elsewhere is rejected');
+}
+
+// Test: requireSettlement consults the wallet
+{
+  let settled = false;
+  let lookups = 0;
+  const settlingWallet = {
+    createInvoice: async () => ({ invoice: 'lnbc250n1known', paymentHash: KNOWN_HASH, amountSats: 25 }),
+    lookupInvoice: async () => { lookups++; return { paid: settled }; }
+  };
+  const mw = l402({ wallet: settlingWallet, amountSats: 25, requireSettlement: true });
+  const challenge = await issueChallenge(mw);
+
+  const auth = `L402 ${challenge.macaroon}:${KNOWN_PREIMAGE}`;
+  let nextCalled = false;
+  const res = createMockRes();
+  await mw({ headers: { authorization: auth } }, res, () => { nextCalled = true; });
+  assert(!nextCalled && res.statusCode === 402, 'requireSettlement: unsettled invoice is rejected');
+
+  // The rejected attempt issued a new challenge with the same hash in this mock
+  settled = true;
+  await mw({ headers: { authorization: auth } }, createMockRes(), () => { nextCalled = true; });
+  assert(nextCalled, 'requireSettlement: settled invoice is accepted');
+
+  const lookupsBefore = lookups;
+  await mw({ headers: { authorization: auth } }, createMockRes(), () => {});
+  assert(lookups === lookupsBefore, 'requireSettlement: settlement is only looked up once');
+}
+
+assertThrows(
+  () => l402({ wallet: { createInvoice: async () => ({}) }, amountSats: 1, requireSettlement: true }),
+  'requireSettlement throws for a wallet without lookupInvoice/waitForPayment'
+);
+
+// ─── Macaroon tokens ───
+
+console.log('\nMacaroon tokens:');
+
+{
+  const { Macaroon, encodeIdentifier, decodeIdentifier } = require('./lib');
+  const rootKey = crypto.randomBytes(32);
+  const tokenId = crypto.randomBytes(32).toString('hex');
+  const identifier = encodeIdentifier(KNOWN_HASH, tokenId);
+
+  assert(identifier.length === 66, 'identifier is 66 bytes (version + hash + token id)');
+  const decodedId = decodeIdentifier(identifier);
+  assert(decodedId.paymentHash === KNOWN_HASH, 'identifier round-trips payment hash');
+  assert(decodedId.tokenId === tokenId, 'identifier round-trips token id');
+  assert(decodeIdentifier(Buffer.alloc(10)) === null, 'short identifier is rejected');
+
+  const mac = Macaroon.mint({ rootKey, identifier, location: 'l402' });
+  mac.addFirstPartyCaveat('services=demo:0');
+  const bytes = mac.serialize();
+  assert(bytes[0] === 2, 'serializes in V2 format');
+
+  const restored = Macaroon.deserialize(mac.toBase64());
+  assert(restored.location === 'l402', 'location round-trips');
+  assert(restored.identifier.equals(identifier), 'identifier round-trips through base64');
+  assert(restored.conditions()[0] === 'services=demo:0', 'caveat round-trips');
+  assert(restored.signature.equals(mac.signature), 'signature round-trips');
+
+  const allow = c => c === 'services=demo:0';
+  assert(restored.verify(rootKey, allow), 'verifies with the root key');
+  assert(!restored.verify(crypto.randomBytes(32), allow), 'fails with another root key');
+  assert(!restored.verify(rootKey), 'fails when a caveat is not satisfied');
+
+  // Strip the caveat but keep the signature — chain no longer matches
+  const stripped = new Macaroon({ location: 'l402', identifier, signature: restored.signature });
+  assert(!stripped.verify(rootKey, allow), 'fails when caveats are removed');
+
+  let threw = false;
+  try { Macaroon.deserialize(Buffer.from([2, 2, 5, 1])); } catch { threw = true; }
+  assert(threw, 'truncated macaroon throws on deserialize');
+}
+
+{
+  const issuingWallet = {
+    createInvoice: async () => ({ invoice: 'lnbc250n1known', paymentHash: KNOWN_HASH, amountSats: 25 })
+  };
+  const mw = l402({ wallet: issuingWallet, amountSats: 25 });
+  const res = createMockRes();
+  await mw({ headers: {} }, res, () => {});
+  const challenge = parseWwwAuthenticate(res.headers['WWW-Authenticate']);
+  assert(challenge.macaroon === JSON.parse(res.body).macaroon, 'challenge header carries the base64 macaroon');
+
+  const parsed = parseAuthHeader(`L402 ${challenge.macaroon}:${KNOWN_PREIMAGE}`);
+  assert(parsed !== null && parsed.macaroon === challenge.macaroon, 'parseAuthHeader accepts base64 macaroons');
+
+  // Forged macaroon with the right identifier but another root key
+  const { Macaroon } = require('./lib');
+  const original = Macaroon.deserialize(challenge.macaroon);
+  const forged = Macaroon.mint({ rootKey: crypto.randomBytes(32), identifier: original.identifier }).toBase64();
+  let nextCalled = false;
+  await mw({ headers: { authorization: `L402 ${forged}:${KNOWN_PREIMAGE}` } }, createMockRes(), () => { nextCalled = true; });
+  assert(!nextCalled, 'macaroon signed with another root key is rejected');
+
+  // Legacy hex tokens are refused unless enabled
+  await mw({ headers: { authorization: `L402 ${KNOWN_HASH}:${KNOWN_PREIMAGE}` } }, createMockRes(), () => { nextCalled = true; });
+  assert(!nextCalled, 'legacy hex token rejected by default');
+
+  const legacy = l402({ wallet: issuingWallet, amountSats: 25, legacyTokens: true });
+  await issueChallenge(legacy);
+  await legacy({ headers: { authorization: `L402 ${KNOWN_HASH}:${KNOWN_PREIMAGE}` } }, createMockRes(), () => { nextCalled = true; });
+  assert(nextCalled, 'legacy hex token accepted with legacyTokens');
+
+  // Legacy tokens carry no valid_until caveat: the record's access window still applies
+  const windowed = l402({ wallet: issuingWallet, amountSats: 25, legacyTokens: true, accessDurationSeconds: 60 });
+  await issueChallenge(windowed);
+  const legacyAuth = { authorization: `L402 ${KNOWN_HASH}:${KNOWN_PREIMAGE}` };
+  nextCalled = false;
+  await windowed({ headers: legacyAuth }, createMockRes(), () => { nextCalled = true; });
+  assert(nextCalled, 'legacy token accepted inside its access window');
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 61000;
+  const lateRes = createMockRes();
+  nextCalled = false;
+  try {
+    await windowed({ headers: legacyAuth }, lateRes, () => { nextCalled = true; });
+  } finally {
+    Date.now = realNow;
+  }
+  assert(!nextCalled && lateRes.statusCode === 402, 'expired legacy token gets a fresh 402');
+
+  // ...and so does the route scope it was issued for
+  const scoped = l402({ wallet: issuingWallet, amountSats: 25, legacyTokens: true });
+  await scoped({ method: 'GET', url: '/api/data', headers: {} }, createMockRes(), () => {});
+  nextCalled = false;
+  await scoped({ method: 'GET', url: '/api/data', headers: legacyAuth }, createMockRes(), () => { nextCalled = true; });
+  assert(nextCalled, 'legacy token accepted on the path it was issued for');
+  const otherRes = createMockRes();
+  nextCalled = false;
+  await scoped({ method: 'GET', url: '/other', headers: legacyAuth }, otherRes, () => { nextCalled = true; });
+  assert(!nextCalled && otherRes.statusCode === 402, 'legacy token rejected on another path');
+  nextCalled = false;
+  await scoped({ method: 'POST', url: '/api/data', headers: legacyAuth }, createMockRes(), () => { nextCalled = true; });
+  assert(!nextCalled, 'legacy token rejected for another method');
+}
+
+// ─── Token Stores ───
+
+console.log('\nToken stores:');
+
+{
+  const store = new MemoryStore();
+  const now = Date.now();
+  await store.put('aa', { invoice: 'lnbc1', amountSats: 5, createdAt: now, invoiceExpiresAt: now + 1000, settled: false, uses: 0 });
+  await store.put('bb', { invoice: 'lnbc2', amountSats: 5, createdAt: now, invoiceExpiresAt: now - 1, settled: false, uses: 0 });
+
+  const record = await store.get('aa');
+  assert(record.invoice === 'lnbc1' && record.paymentHash === 'aa', 'MemoryStore: put/get');
+  record.invoice = 'mutated';
+  assert((await store.get('aa')).invoice === 'lnbc1', 'MemoryStore: get returns a copy');
+  assert((await store.markSettled('aa')).settled === true, 'MemoryStore: markSettled');
+  assert((await store.consume('aa')).uses === 1, 'MemoryStore: consume counts uses');
+  assert(await store.get('zz') === null, 'MemoryStore: unknown key returns null');
+  assert(await store.expire(now) === 0, 'MemoryStore: an expired invoice nobody presented is kept while its payment is unknown');
+  assert(await store.expire(now, async () => false) === 1, 'MemoryStore: expire removes unpaid expired invoices');
+  assert(await store.get('bb') === null && await store.get('aa') !== null, 'MemoryStore: settled records survive expire');
+
+  await store.put('cc', { invoice: 'lnbc3', amountSats: 5, createdAt: now, invoiceExpiresAt: now - 1, settled: false, uses: 0 });
+  await store.expire(now, async hash => hash === 'cc');
+  assert((await store.get('cc')).settled, 'MemoryStore: a paid invoice not yet presented is settled, not dropped');
+  await store.put('dd', { invoice: 'lnbc4', amountSats: 5, createdAt: now, invoiceExpiresAt: now - 1, settled: false, uses: 0 });
+  assert(await store.expire(now + 25 * 3600000) === 1 && await store.get('dd') === null, 'MemoryStore: unknown invoices are dropped after a grace period');
+}
+
+{
+  // A payer that presents its token after the invoice expired still gets in
+  const wallet = createMockWallet();
+  const store = new MemoryStore();
+  const mw = l402({ wallet, amountSats: 2, expirySeconds: 1, store });
+  const body = await issueChallenge(mw);
+  const { preimage } = await createMockWallet().payInvoice(body.invoice);
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 5000;
+  try {
+    for (let i = 0; i < 100; i++) await issueChallenge(mw);
+    await new Promise(r => setTimeout(r, 20));
+  } finally {
+    Date.now = realNow;
+  }
+  assert((await store.get(body.paymentHash)).settled, 'expiry sweep asks the wallet before dropping an unpresented invoice');
+  let nextCalled = false;
+  await mw({ headers: { authorization: `L402 ${body.macaroon}:${preimage}` } }, createMockRes(), () => { nextCalled = true; });
+  assert(nextCalled, 'paid token presented after its invoice expired is accepted');
+}
+
+{
+  const file = path.join(os.tmpdir(), `l402-store-${process.pid}-${Date.now()}.log`);
+  const now = Date.now();
+
+  const first = new FileStore(file);
+  await first.put('aa', { invoice: 'lnbc1', amountSats: 5, createdAt: now, invoiceExpiresAt: now + 1000, settled: false, uses: 0 });
+  await first.markSettled('aa');
+  await first.consume('aa');
+
+  const reopened = new FileStore(file);
+  const record = await reopened.get('aa');
+  assert(record !== null && record.settled && record.uses === 1, 'FileStore: state survives a restart');
+
+  const small = new FileStore(file, { compactThreshold: 2 });
+  await small.put('bb', { invoice: 'lnbc2', createdAt: now, invoiceExpiresAt: now - 1, settled: false });
+  await small.expire(now, async () => false);
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+  assert(lines.length === 1, 'FileStore: compaction rewrites the log to live records');
+  assert((await new FileStore(file).get('aa')).uses === 1, 'FileStore: compacted log keeps state');
+
+  // A torn line left by a crash doesn't swallow the next write
+  fs.appendFileSync(file, '{"op":"put","key":"to');
+  const afterCrash = new FileStore(file);
+  await afterCrash.put('cc', { invoice: 'lnbc3', createdAt: now, settled: true });
+  assert((await new FileStore(file).get('cc')) !== null, 'FileStore: writes after a torn line survive a restart');
+
+  // Middleware backed by a FileStore keeps accepting credentials after a restart
+  const issuingWallet = {
+    createInvoice: async () => ({ invoice: 'lnbc250n1known', paymentHash: KNOWN_HASH, amountSats: 25 })
+  };
+  const rootKey = crypto.randomBytes(32);
+  const before = l402({ wallet: issuingWallet, amountSats: 25, rootKey, store: new FileStore(file) });
+  const challenge = await issueChallenge(before);
+
+  const after = l402({ wallet: issuingWallet, amountSats: 25, rootKey, store: new FileStore(file) });
+  let nextCalled = false;
+  await after({ headers: { authorization: `L402 ${challenge.macaroon}:${KNOWN_PREIMAGE}` } }, createMockRes(), () => { nextCalled = true; });
+  assert(nextCalled, 'FileStore: middleware accepts credential issued before restart');
+
+  fs.unlinkSync(file);
+}
+
+// ─── Dynamic pricing ───
+
+console.log('\nDynamic pricing:');
+
+{
+  const invoices = [];
+  const preimages = new Map();
+  const pricingWallet = {
+    createInvoice: async (args) => {
+      invoices.push(args);
+      const preimage = crypto.randomBytes(32).toString('hex');
+      const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+      preimages.set(paymentHash, preimage);
+      return { invoice: 'lnbc1test', paymentHash, amountSats: args.amountSats };
+    }
+  };
+  const store = new MemoryStore();
+  const rootKey = crypto.randomBytes(32);
+  const mw = l402({
+    wallet: pricingWallet,
+    store,
+    rootKey,
+    amountSats: async (r) => (r.headers['x-discount'] ? 5 : 10),
+    description: (r) => `Priced for ${r.headers['x-discount'] ? 'friends' : 'everyone'}`
+  });
+
+  const res = createMockRes();
+  await mw({ headers: { 'x-discount': '1' } }, res, () => {});
+  const body = JSON.parse(res.body);
+  assert(body.amountSats === 5, 'pricing function sets the challenge price');
+  assert(invoices[0].amountSats === 5, 'invoice is created at the resolved price');
+  assert(invoices[0].description === 'Priced for friends', 'description function is used');
+
+  const auth = `L402 ${body.macaroon}:${preimages.get(body.paymentHash)}`;
+  const req = { headers: { authorization: auth, 'x-discount': '1' } };
+  let nextCalled = false;
+  await mw(req, createMockRes(), () => { nextCalled = true; });
+  assert(nextCalled && req.l402.amountSats === 5, 'req.l402.amountSats reflects the price paid');
+
+  // Same credential, but this request would cost more
+  nextCalled = false;
+  const fullPrice = createMockRes();
+  await mw({ headers: { authorization: auth } }, fullPrice, () => { nextCalled = true; });
+  assert(!nextCalled && fullPrice.statusCode === 402, 'discounted credential rejected at a higher price');
+
+  // And on another route priced higher, sharing the store and root key
+  const pricier = l402({ wallet: pricingWallet, store, rootKey, amountSats: 21 });
+  await pricier({ headers: { authorization: auth } }, createMockRes(), () => { nextCalled = true; });
+  assert(!nextCalled, 'discounted credential rejected on a pricier route');
+
+  // A cheaper route accepts it
+  const cheaper = l402({ wallet: pricingWallet, store, rootKey, amountSats: 1 });
+  const cheapReq = { headers: { authorization: auth } };
+  await cheaper(cheapReq, createMockRes(), () => { nextCalled = true; });
+  assert(nextCalled && cheapReq.l402.amountSats === 5, 'credential accepted where the price is lower');
+
+  // Invalid prices from the pricing function surface as errors
+  const broken = l402({ wallet: pricingWallet, amountSats: () => -1 });
+  let error = null;
+  await broken({ headers: {} }, createMockRes(), (err) => { error = err; });
+  assert(error instanceof Error, 'invalid resolved price is passed to next(err)');
+}
+
+// ─── Route scopes ───
+
+console.log('\nRoute scopes:');
+
+{
+  const wallet = createMockWallet();
+  const store = new MemoryStore();
+  const rootKey = crypto.randomBytes(32);
+  const base = { wallet, store, rootKey, amountSats: 1 };
+
+  async function pay(mw, req) {
+    const res = createMockRes();
+    await mw(req, res, () => {});
+    const body = JSON.parse(res.body);
+    const { preimage } = await wallet.payInvoice(body.invoice);
+    return `L402 ${body.macaroon}:${preimage}`;
+  }
+
+  async function passes(mw, req) {
+    let nextCalled = false;
+    await mw(req, createMockRes(), () => { nextCalled = true; });
+    return nextCalled;
+  }
+
+  // Exact path (default)
+  const ping = l402(base);
+  const haiku = l402({ ...base, amountSats: 1 });
+  const auth = await pay(ping, { method: 'GET', url: '/api/ping', headers: {} });
+  assert(await passes(ping, { method: 'GET', url: '/api/ping?x=1', headers: { authorization: auth } }), 'path scope: same path (any query) accepted');
+  assert(!(await passes(haiku, { method: 'GET', url: '/api/haiku', headers: { authorization: auth } })), 'path scope: other path rejected');
+  assert(!(await passes(ping, { method: 'POST', url: '/api/ping', headers: { authorization: auth } })), 'path scope: other method rejected');
+
+  // Prefix
+  const prefixed = l402({ ...base, scope: 'prefix', pathPrefix: '/api' });
+  const prefixAuth = await pay(prefixed, { method: 'GET', url: '/api/a', headers: {} });
+  assert(await passes(prefixed, { method: 'GET', url: '/api/b/c', headers: { authorization: prefixAuth } }), 'prefix scope: other path under prefix accepted');
+  assert(!(await passes(prefixed, { method: 'GET', url: '/apix', headers: { authorization: prefixAuth } })), 'prefix scope: prefix matches on segment boundary');
+  assert(!(await passes(prefixed, { method: 'GET', url: '/other', headers: { authorization: prefixAuth } })), 'prefix scope: path outside prefix rejected');
+
+  // Service
+  const svcA = l402({ ...base, scope: 'service', service: 'demo' });
+  const svcB = l402({ ...base, service: 'demo' });
+  const other = l402({ ...base, service: 'other' });
+  const svcAuth = await pay(svcA, { method: 'GET', url: '/a', headers: {} });
+  assert(await passes(svcB, { method: 'POST', url: '/b', headers: { authorization: svcAuth } }), 'service scope: any route of the service accepted');
+  assert(!(await passes(other, { method: 'GET', url: '/a', headers: { authorization: svcAuth } })), 'service scope: other service rejected');
+
+  assertThrows(() => l402({ ...base, scope: 'prefix' }), 'prefix scope requires pathPrefix');
+  assertThrows(() => l402({ ...base, scope: 'service' }), 'service scope requires service name');
+  assertThrows(() => l402({ ...base, scope: 'everything' }), 'unknown scope throws');
+}
+
+{
+  const { CredentialCache } = require('./lib');
+  const cache = new CredentialCache();
+
+  cache.set('https://api.example.com/api/a', { macaroon: 'p', preimage: 'p', scope: { type: 'prefix', pathPrefix: '/api/' } }, 'GET');
+  assert(cache.get('https://api.example.com/api/b', 'GET') !== null, 'cache: prefix credential reused for sibling path');
+  assert(cache.get('https://api.example.com/api/b/c', 'GET') !== null, 'cache: prefix credential reused for nested path');
+  assert(cache.get('https://api.example.com/other', 'GET') === null, 'cache: prefix credential not used outside prefix');
+  assert(cache.get('https://api.example.com/api/b', 'POST') === null, 'cache: prefix credential is method-bound');
+
+  cache.set('https://svc.example.com/x', { macaroon: 's', preimage: 's', scope: { type: 'service' } }, 'GET');
+  assert(cache.get('https://svc.example.com/y/z', 'POST').macaroon === 's', 'cache: service credential reused across paths and methods');
+  assert(cache.get('https://other.example.com/y', 'GET') === null, 'cache: service credential bound to origin');
+
+  cache.set('https://api.example.com/api/exact', { macaroon: 'e', preimage: 'e' }, 'GET');
+  assert(cache.get('https://api.example.com/api/exact', 'GET').macaroon === 'e', 'cache: exact credential preferred over prefix');
+  cache.invalidate('https://api.example.com/api/exact', 'GET');
+  assert(cache.get('https://api.example.com/api/exact', 'GET').macaroon === 'p', 'cache: invalidate removes the matching credential only');
+
+  assert(inspectToken(KNOWN_HASH).paymentHash === KNOWN_HASH, 'inspectToken: legacy hex token');
+  assert(inspectToken('!!') === null, 'inspectToken: garbage returns null');
+  cache.close();
+}
+
+{
+  const { CredentialCache } = require('./lib');
+  const wallet = createMockWallet();
+  const server = await createTestServer({ amountSats: 2, scope: 'prefix', pathPrefix: '/api/' });
+
+  const cache = new CredentialCache();
+  const first = await l402Fetch(`${server.url}/api/a`, { wallet, credentialCache: cache });
+  const second = await l402Fetch(`${server.url}/api/b`, { wallet, credentialCache: cache });
+  assert(first.status === 200 && second.status === 200, 'l402Fetch: both prefix-scoped paths succeed');
+  assert(wallet.payments === 1, 'l402Fetch: prefix-scoped credential reused without paying again');
+
+  cache.close();
+  await server.close();
+}
+
+// ─── Access windows ───
+
+console.log('\nAccess windows:');
+
+{
+  const wallet = createMockWallet();
+  const mw = l402({ wallet, amountSats: 3, accessDurationSeconds: 1 });
+  const expiredEvents = [];
+  mw.events.on('expired', e => expiredEvents.push(e));
+
+  const challengeRes = createMockRes();
+  await mw({ method: 'GET', url: '/pass', headers: {} }, challengeRes, () => {});
+  const body = JSON.parse(challengeRes.body);
+  assert(body.accessExpiresAt > Date.now(), '402 body advertises accessExpiresAt');
+  assert(inspectToken(body.macaroon).caveats.valid_until === String(body.accessExpiresAt / 1000), 'token carries valid_until caveat');
+
+  const { preimage } = await wallet.payInvoice(body.invoice);
+  const auth = `L402 ${body.macaroon}:${preimage}`;
+  const req = { method: 'GET', url: '/pass', headers: { authorization: auth } };
+  let nextCalled = false;
+  await mw(req, createMockRes(), () => { nextCalled = true; });
+  assert(nextCalled && req.l402.expiresAt === body.accessExpiresAt, 'token accepted inside its window');
+
+  await new Promise(r => setTimeout(r, body.accessExpiresAt - Date.now() + 50));
+
+  nextCalled = false;
+  const expiredRes = createMockRes();
+  await mw({ method: 'GET', url: '/pass', headers: { authorization: auth } }, expiredRes, () => { nextCalled = true; });
+  assert(!nextCalled && expiredRes.statusCode === 402, 'expired token gets a fresh 402 challenge');
+  assert(
+    expiredEvents.length === 1 && expiredEvents[0].expiresAt === body.accessExpiresAt && expiredEvents[0].paymentHash === body.paymentHash,
+    'expired token emits an expired event'
+  );
+
+  assertThrows(() => l402({ wallet, amountSats: 1, accessDurationSeconds: -5 }), 'negative accessDurationSeconds throws');
+}
+
+{
+  const { CredentialCache } = require('./lib');
+  const wallet = createMockWallet();
+  const server = await createTestServer({ amountSats: 2, accessDurationSeconds: 120 });
+
+  const cache = new CredentialCache({ defaultTtlMs: 3600000 });
+  const before = Date.now();
+  const response = await l402Fetch(`${server.url}/timed`, { wallet, credentialCache: cache });
+  const [, entry] = cache.lookup(`${server.url}/timed`, 'GET');
+  assert(response.status === 200, 'l402Fetch: time-window endpoint succeeds');
+  assert(entry.expiresAt <= before + 121000 && entry.expiresAt >= before + 119000, 'l402Fetch: cache expiry comes from the token, not a fixed hour');
+
+  cache.close();
+  await server.close();
+}
+
+// ─── Metered quotas ───
+
+console.log('\nMetered quotas:');
+
+{
+  const wallet = createMockWallet();
+  const mw = l402({ wallet, amountSats: 1, maxCalls: 2 });
+
+  const challengeRes = createMockRes();
+  await mw({ method: 'GET', url: '/metered', headers: {} }, challengeRes, () => {});
+  const body = JSON.parse(challengeRes.body);
+  assert(body.maxCalls === 2, '402 body advertises maxCalls');
+  assert(inspectToken(body.macaroon).caveats.max_calls === '2', 'token carries max_calls caveat');
+
+  const { preimage } = await wallet.payInvoice(body.invoice);
+  const auth = `L402 ${body.macaroon}:${preimage}`;
+
+  const req1 = { method: 'GET', url: '/metered', headers: { authorization: auth } };
+  const res1 = createMockRes();
+  await mw(req1, res1, () => {});
+  assert(req1.l402.remainingCalls === 1, 'first call: req.l402.remainingCalls is 1');
+  assert(res1.headers['L402-Remaining-Calls'] === '1', 'first call: remaining-calls header is 1');
+
+  const req2 = { method: 'GET', url: '/metered', headers: { authorization: auth } };
+  const res2 = createMockRes();
+  await mw(req2, res2, () => {});
+  assert(req2.l402.remainingCalls === 0 && res2.headers['L402-Remaining-Calls'] === '0', 'second call: quota used up');
+
+  let nextCalled = false;
+  const res3 = createMockRes();
+  await mw({ method: 'GET', url: '/metered', headers: { authorization: auth } }, res3, () => { nextCalled = true; });
+  assert(!nextCalled && res3.statusCode === 402, 'third call: new challenge issued');
+  assert(JSON.parse(res3.body).reason === 'quota_exhausted', 'third call: 402 reason is quota_exhausted');
+
+  // Single-use
+  const once = l402({ wallet, amountSats: 1, maxCalls: 1 });
+  const onceBody = await issueChallenge(once);
+  const onceAuth = `L402 ${onceBody.macaroon}:${(await wallet.payInvoice(onceBody.invoice)).preimage}`;
+  let uses = 0;
+  await once({ headers: { authorization: onceAuth } }, createMockRes(), () => { uses++; });
+  await once({ headers: { authorization: onceAuth } }, createMockRes(), () => { uses++; });
+  assert(uses === 1, 'maxCalls: 1 makes a single-use token');
+
+  // Unmetered tokens don't report a quota
+  const unmetered = l402({ wallet, amountSats: 1 });
+  const freeBody = await issueChallenge(unmetered);
+  const freeReq = { headers: { authorization: `L402 ${freeBody.macaroon}:${(await wallet.payInvoice(freeBody.invoice)).preimage}` } };
+  const freeRes = createMockRes();
+  await unmetered(freeReq, freeRes, () => {});
+  assert(freeReq.l402.remainingCalls === null && freeRes.headers['L402-Remaining-Calls'] === undefined, 'unmetered token has no remaining-calls header');
+
+  assertThrows(() => l402({ wallet, amountSats: 1, maxCalls: 0 }), 'maxCalls: 0 throws');
+  assertThrows(() => l402({ wallet, amountSats: 1, maxCalls: 1.5 }), 'non-integer maxCalls throws');
+}
+
+{
+  const { CredentialCache } = require('./lib');
+  const wallet = createMockWallet();
+  const gate = l402({ wallet, amountSats: 1, maxCalls: 2 });
+  let hits = 0;
+  const server = await listen((req, res) => { hits++; gate(req, res, () => res.end('ok')); });
+  const target = `${server.url}/metered`;
+
+  const cache = new CredentialCache();
+  const r1 = await l402Fetch(target, { wallet, credentialCache: cache });
+  const r2 = await l402Fetch(target, { wallet, credentialCache: cache });
+  assert(r1.status === 200 && r2.status === 200 && wallet.payments === 1, 'l402Fetch: metered credential reused until its quota');
+  assert(!cache.has(target, 'GET'), 'l402Fetch: credential dropped when remaining calls reach 0');
+
+  const r3 = await l402Fetch(target, { wallet, credentialCache: cache });
+  assert(r3.status === 200 && wallet.payments === 2, 'l402Fetch: pays again once the quota is used');
+
+  // Use up the cached credential behind the client's back
+  const cred = cache.get(target, 'GET');
+  await fetch(target, { headers: { Authorization: `L402 ${cred.macaroon}:${cred.preimage}` } });
+
+  hits = 0;
+  const r4 = await l402Fetch(target, { wallet, credentialCache: cache });
+  assert(r4.status === 200 && wallet.payments === 3, 'l402Fetch: exhausted-quota 402 triggers a new payment');
+  assert(hits === 2, 'l402Fetch: pays from the exhausted-quota challenge without an extra request');
+
+  cache.close();
+  await server.close();
+}
+
+// ─── Prepaid balances ───
+
+console.log('\nPrepaid balances:');
+
+{
+  const wallet = createMockWallet();
+  const store = new MemoryStore();
+  const mw = l402({ wallet, store, amountSats: 3, prepaid: { topUpSats: 10, maxTopUpSats: 50 } });
+
+  const first = await issueChallenge(mw);
+  assert(first.amountSats === 10 && first.priceSats === 3, 'prepaid: challenge is a top-up of topUpSats');
+  const accountId = inspectToken(first.macaroon).caveats.account;
+  assert(/^[0-9a-f]{32}$/.test(accountId), 'prepaid: token carries an account caveat');
+
+  const auth = `L402 ${first.macaroon}:${(await wallet.payInvoice(first.invoice)).preimage}`;
+  const balances = [];
+  for (let i = 0; i < 3; i++) {
+    const req = { headers: { authorization: auth } };
+    const res = createMockRes();
+    await mw(req, res, () => {});
+    balances.push(res.headers['L402-Balance-Sats']);
+    if (i === 0) assert(req.l402.accountId === accountId && req.l402.balanceSats === 7, 'prepaid: req.l402 exposes account and balance');
+  }
+  assert(balances.join(',') === '7,4,1', 'prepaid: each request debits the price');
+
+  const emptyRes = createMockRes();
+  let nextCalled = false;
+  await mw({ headers: { authorization: auth } }, emptyRes, () => { nextCalled = true; });
+  const topUp = JSON.parse(emptyRes.body);
+  assert(!nextCalled && emptyRes.statusCode === 402 && topUp.reason === 'insufficient_balance', 'prepaid: empty balance gets a top-up challenge');
+  assert(emptyRes.headers['L402-Balance-Sats'] === '1' && topUp.balanceSats === 1, 'prepaid: top-up challenge reports the balance');
+  assert(inspectToken(topUp.macaroon).caveats.account === accountId, 'prepaid: top-up credits the same account');
+
+  const topUpAuth = `L402 ${topUp.macaroon}:${(await wallet.payInvoice(topUp.invoice)).preimage}`;
+  const after = { headers: { authorization: topUpAuth } };
+  await mw(after, createMockRes(), () => {});
+  assert(after.l402.balanceSats === 8, 'prepaid: top-up is added to the leftover balance');
+
+  // The old credential draws on the same account
+  const old = { headers: { authorization: auth } };
+  await mw(old, createMockRes(), () => {});
+  assert(old.l402.balanceSats === 5, 'prepaid: earlier credentials share the account balance');
+
+  const requested = createMockRes();
+  await mw({ headers: { 'l402-top-up-sats': '500' } }, requested, () => {});
+  assert(JSON.parse(requested.body).amountSats === 50, 'prepaid: requested top-up is capped by maxTopUpSats');
+
+  assertThrows(() => l402({ wallet, amountSats: 1, prepaid: { topUpSats: 5 }, maxCalls: 2 }), 'prepaid cannot be combined with maxCalls');
+  assertThrows(() => l402({ wallet, amountSats: 1, prepaid: { topUpSats: 5 }, store: { get() {} } }), 'prepaid needs a store with balances');
+}
+
+{
+  const file = path.join(os.tmpdir(), `l402-prepaid-${process.pid}-${Date.now()}.log`);
+  const store = new FileStore(file);
+  await store.credit('acct', 10, 'ref1');
+  await store.credit('acct', 10, 'ref1');
+  await store.debit('acct', 4);
+  assert(await store.debit('acct', 100) === null, 'FileStore: debit refuses to overdraw');
+  await store.compact();
+  assert(await new FileStore(file).getBalance('acct') === 6, 'FileStore: balances survive restart and compaction');
+  await new FileStore(file).credit('acct', 10, 'ref1');
+  assert(await new FileStore(file).getBalance('acct') === 6, 'FileStore: credits stay idempotent after restart');
+  fs.unlinkSync(file);
+}
+
+{
+  const { createL402Client } = require('./lib');
+  const wallet = createMockWallet();
+  const server = await createTestServer({ amountSats: 2, scope: 'service', service: 'api', prepaid: { topUpSats: 2 } });
+
+  const client = createL402Client({ wallet, maxAmountSats: 100, topUpSats: 6 });
+  const statuses = [];
+  for (const p of ['/a', '/b', '/c', '/d']) {
+    statuses.push((await client(`${server.url}${p}`)).status);
+  }
+  assert(statuses.every(st => st === 200), 'createL402Client: prepaid requests succeed');
+  assert(wallet.payments === 2, 'createL402Client: tops up by topUpSats and pays again only when empty');
+
+  await server.close();
+}
+
+// ─── BOLT11 invoices ───
+
+console.log('\nRoute tables:');
+
+{
+  const wallet = createMockWallet();
+  const gate = l402.routes({
+    'GET /': 0,
+    'GET /api/ping': 1,
+    'GET /api/trust/:pubkey': { sats: 10, description: 'Trust lookup' },
+    'POST /api/upload': { sats: 4, maxCalls: 1 }
+  }, { wallet, amountSats: (req, route) => req.headers['x-discount'] ? Math.ceil(route.sats / 2) : route.sats });
+  const server = await listen((req, res) => gate(req, res, () => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ route: req.l402Route, l402: req.l402 || null }));
+  }));
+
+  assert(
+    gate.routes.map(r => `${r.method} ${r.path} ${r.sats}`).join() === 'GET / 0,GET /api/ping 1,GET /api/trust/:pubkey 10,POST /api/upload 4',
+    'routes lists the table in order'
+  );
+  assert(gate.match('GET', '/api/trust/abc?x=1').params.pubkey === 'abc' && gate.match('GET', '/api/trust') === null, 'match resolves patterns and path params');
+
+  const free = await (await fetch(`${server.url}/`)).json();
+  assert(free.route.sats === 0 && free.l402 === null, 'free routes pass through with req.l402Route');
+  const unlisted = await fetch(`${server.url}/elsewhere`);
+  assert(unlisted.status === 200 && (await unlisted.json()).route === undefined, 'unlisted routes pass through');
+
+  const challenge = await fetch(`${server.url}/api/trust/abc`);
+  const body = await challenge.json();
+  assert(challenge.status === 402 && body.amountSats === 10 && body.description === 'Trust lookup', 'paid route is challenged at its price and description');
+  const discounted = await (await fetch(`${server.url}/api/trust/abc`, { headers: { 'X-Discount': '1' } })).json();
+  assert(discounted.amountSats === 5, 'amountSats function adjusts the list price per request');
+
+  const paid = await l402Fetch(`${server.url}/api/trust/abc`, { wallet, cache: false });
+  const paidBody = await paid.json();
+  assert(paid.status === 200 && paidBody.l402.amountSats === 10 && paidBody.route.params.pubkey === 'abc', 'paid route reaches the app with req.l402 and params');
+
+  // Other spellings of a paid path are still paid routes
+  for (const variant of ['/api/ping/', '/API/ping', '/api//ping', '/api/%70ing']) {
+    const spelled = await fetch(`${server.url}${variant}`);
+    assert(spelled.status === 402 && gate.match('GET', variant).key === 'GET /api/ping', `${variant} is gated like /api/ping`);
+  }
+  assert(gate.match('GET', '/api/trust/A%20B/').params.pubkey === 'A B', 'params keep their case and are decoded');
+
+  // ...and a token paid under one spelling is scoped to the route, not the spelling
+  const spelledChallenge = await (await fetch(`${server.url}/API/ping`)).json();
+  const { preimage: spelledPreimage } = await wallet.payInvoice(spelledChallenge.invoice);
+  const respelled = await fetch(`${server.url}/api/ping/`, { headers: { Authorization: `L402 ${spelledChallenge.macaroon}:${spelledPreimage}` } });
+  assert(respelled.status === 200, 'token paid on /API/ping unlocks /api/ping/');
+  const otherKey = await (await fetch(`${server.url}/api/trust/ABC`)).json();
+  const { preimage: keyPreimage } = await wallet.payInvoice(otherKey.invoice);
+  const lowerKey = await fetch(`${server.url}/api/trust/abc`, { headers: { Authorization: `L402 ${otherKey.macaroon}:${keyPreimage}` } });
+  assert(lowerKey.status === 402, 'path params keep their case in the token scope');
+
+  const prefixed = l402.routes({ 'GET /api/*': { sats: 2, scope: 'prefix', pathPrefix: '/api' } }, { wallet });
+  const prefixServer = await listen((req, res) => prefixed(req, res, () => res.end('ok')));
+  const payer = createMockWallet();
+  const upper = await l402Fetch(`${prefixServer.url}/API/y`, { wallet: payer, cache: false });
+  assert(upper.status === 200 && payer.payments === 1, 'prefix-scoped token paid on another spelling is accepted');
+  await prefixServer.close();
+
+  const head = await fetch(`${server.url}/api/ping`, { method: 'HEAD' });
+  assert(head.status === 402, 'GET routes also gate HEAD');
+  const probe = await fetch(`${server.url}/api/upload`, { method: 'OPTIONS', headers: { 'L402-Intended-Method': 'POST' } });
+  assert(probe.status === 402 && probe.headers.get('l402-remaining-calls') === null, 'price probes match the route they stand in for');
+  const upload = await l402Fetch(`${server.url}/api/upload`, { wallet, cache: false, method: 'POST', body: 'x' });
+  assert(upload.status === 200 && (await upload.json()).l402.remainingCalls === 0, 'per-route options apply to that route');
+
+  assertThrows(() => l402.routes({ '/api/ping': 1 }, { wallet }), 'route keys need a method');
+  assertThrows(() => l402.routes({ 'GET /api/ping': -1 }, { wallet }), 'route prices must be non-negative');
+  assertThrows(() => l402.routes({ 'GET /api/ping': 1 }, {}), 'paid routes need a wallet');
+  await server.close();
+}
+
+console.log('\nDiscovery:');
+
+{
+  const { buildCatalog, toOpenApi, l402Discovery, fetchCatalog, findEndpoint, createL402Client } = require('./lib');
+  const wallet = createMockWallet();
+  const gate = l402.routes({
+    'GET /': 0,
+    'GET /api/trust/:pubkey': { sats: 10, description: 'Trust lookup', accessDurationSeconds: 3600 },
+    'POST /api/files/*': { sats: 50, maxCalls: 1 }
+  }, { wallet, amountSats: (req, route) => route.sats, discovery: { service: 'demo' } });
+  let catalogRequests = 0;
+  const server = await listen((req, res) => {
+    if (req.url.startsWith('/.well-known/')) catalogRequests++;
+    gate(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    });
+  });
+
+  const response = await fetch(`${server.url}/.well-known/l402`);
+  const catalog = await response.json();
+  assert(response.status === 200 && /max-age=300/.test(response.headers.get('cache-control')), 'routes serve the catalog at /.well-known/l402');
+  assert(catalog.version === 1 && catalog.currency === 'sat' && catalog.service === 'demo' && catalog.schemes.join() === 'L402', 'catalog header fields');
+  const trust = catalog.endpoints[1];
+  assert(
+    catalog.endpoints.length === 3 && catalog.endpoints[0].amountSats === 0 && catalog.endpoints[0].dynamicPrice === false,
+    'catalog lists every route, free ones at 0'
+  );
+  assert(
+    trust.path === '/api/trust/:pubkey' && trust.amountSats === 10 && trust.dynamicPrice === true &&
+      trust.description === 'Trust lookup' && trust.accessDurationSeconds === 3600 && trust.scope === 'path',
+    'catalog entries carry list price, access duration and scope'
+  );
+  assert(catalog.endpoints[2].maxCalls === 1 && catalog.endpoints[2].method === 'POST', 'catalog entries carry quotas');
+  assert((await fetch(`${server.url}/.well-known/l402`, { method: 'POST' })).status === 404, 'catalog only answers GET and HEAD');
+
+  const standalone = buildCatalog({
+    'GET /api/ping': l402({ wallet, amountSats: 1, lsat: true }),
+    'GET /api/report': l402({ wallet, amountSats: () => 5, scope: 'service', service: 'api' }),
+    'GET /api/account': l402({ wallet, amountSats: 2, prepaid: { topUpSats: 100 } }),
+    'GET /about': 0
+  });
+  const [ping, report, account, about] = standalone.endpoints;
+  assert(ping.amountSats === 1 && standalone.schemes.join() === 'L402,LSAT', 'buildCatalog reads l402() middleware terms');
+  assert(report.amountSats === null && report.dynamicPrice === true && report.scope === 'service' && report.service === 'api', 'pricing functions are listed as dynamic');
+  assert(account.prepaid.topUpSats === 100 && about.amountSats === 0, 'prepaid terms and free routes are listed');
+  let threw = null;
+  try { buildCatalog({ 'GET /x': 10 }); } catch (err) { threw = err.message; }
+  assert(threw && threw.includes('"GET /x"'), 'buildCatalog rejects entries that are not paywalls');
+  const served = l402Discovery({ 'GET /api/ping': l402({ wallet, amountSats: 1 }) }, { path: '/catalog.json' });
+  assert(served.catalog.endpoints[0].path === '/api/ping', 'l402Discovery exposes the catalog it serves');
+
+  const base = { openapi: '3.0.3', info: { title: 'Demo', version: '2' }, paths: { '/api/trust/{pubkey}': { get: { operationId: 'trust', responses: { 200: { description: 'Score' } } } } } };
+  const spec = toOpenApi(catalog, base);
+  const trustOp = spec.paths['/api/trust/{pubkey}'].get;
+  assert(spec.openapi === '3.0.3' && spec['x-l402'].discovery === '/.well-known/l402', 'toOpenApi keeps the document and adds x-l402');
+  assert(trustOp.operationId === 'trust' && trustOp['x-l402'].amountSats === 10 && trustOp.responses[402] && trustOp.responses[200].description === 'Score', 'existing operations get x-l402 and a 402 response');
+  const filesOp = spec.paths['/api/files/{path}'].post;
+  assert(filesOp['x-l402'].maxCalls === 1 && filesOp.parameters[0].name === 'path', 'missing operations are added with path parameters');
+  assert(spec.paths['/'].get['x-l402'] === undefined, 'free operations carry no x-l402');
+  assert(base.paths['/api/trust/{pubkey}'].get['x-l402'] === undefined, 'toOpenApi does not modify its input');
+
+  const client = createL402Client({ wallet });
+  catalogRequests = 0;
+  const fetched = await client.catalog(`${server.url}/api/trust/abc`);
+  await client.catalog(server.url);
+  assert(fetched.endpoints.length === 3 && catalogRequests === 1, 'client.catalog fetches once per origin');
+  await client.catalog(server.url, { refresh: true });
+  assert(catalogRequests === 2, 'client.catalog refetches on refresh');
+  assert(findEndpoint(fetched, 'GET', `${server.url}/api/trust/abc?x=1`).amountSats === 10, 'findEndpoint matches a URL to its entry');
+  assert(findEndpoint(fetched, 'HEAD', '/api/trust/abc').path === '/api/trust/:pubkey' && findEndpoint(fetched, 'GET', '/api/files/a') === null, 'findEndpoint follows route matching');
+
+  let missing = null;
+  try { await fetchCatalog(server.url, { path: '/nope' }); } catch (err) { missing = err.message; }
+  assert(missing && missing.includes('status 404'), 'fetchCatalog rejects servers without a catalog');
+  await server.close();
+}
+
+console.log('\nDry runs:');
+
+{
+  const { createL402Client, SpendingBudget } = require('./lib');
+  const server = await createTestServer({ amountSats: 10, description: 'Quoted data', accessDurationSeconds: 60, maxCalls: 3 });
+  const wallet = createMockWallet();
+  const client = createL402Client({ wallet, budget: { lifetimeSats: 15 } });
+
+  const quote = await client.quote(`${server.url}/data`);
+  assert(
+    quote.paymentRequired && quote.amountSats === 10 && quote.description === 'Quoted data' && quote.expiresAt > Date.now(),
+    'quote reports the invoice amount, description and expiry'
+  );
+  assert(quote.scope.type === 'path' && quote.scope.path === '/data' && quote.maxCalls === 3 && quote.accessExpiresAt > Date.now(), 'quote reports the token scope and terms');
+  assert(!quote.cached && !quote.wouldExceedBudget && quote.reason === null && wallet.payments === 0, 'quote pays nothing');
+
+  const overMax = await client.quote(`${server.url}/data`, { maxAmountSats: 5 });
+  assert(overMax.wouldExceedBudget && overMax.reason.includes('maxAmountSats'), 'quote flags invoices above maxAmountSats');
+  const budget = new SpendingBudget({ lifetimeSats: 5 });
+  const overBudget = await l402Fetch(`${server.url}/data`, { wallet, budget, cache: false, dryRun: true });
+  assert(overBudget.wouldExceedBudget && overBudget.reason.includes('lifetime') && budget.spent().lifetime === 0, 'quote checks the spending budget without reserving');
+  assert(budget.check('x', 5) === null && budget.check('x', 6).includes('lifetime'), 'SpendingBudget.check reports what reserve would refuse');
+
+  const first = await client(`${server.url}/data`);
+  assert(first.headers.get('l402-remaining-calls') === '2', 'paid call uses the first metered call');
+  const cached = await client.quote(`${server.url}/data`);
+  assert(cached.cached && cached.amountSats === 10 && wallet.payments === 1, 'quote reports a cached credential would cover the call');
+  const second = await client(`${server.url}/data`);
+  assert(second.headers.get('l402-remaining-calls') === '1', 'quote does not spend the cached credential');
+
+  const probed = await l402Fetch(`${server.url}/upload`, { cache: false, dryRun: true, probe: 'OPTIONS', method: 'POST', body: 'x' });
+  assert(probed.amountSats === 10 && probed.method === 'POST', 'quote uses the price probe when set');
+
+  const { CredentialCache } = require('./lib');
+  const credentialCache = new CredentialCache();
+  await l402Fetch(`${server.url}/counted`, { wallet, credentialCache });
+  const { hits, misses } = credentialCache.stats();
+  const quietQuote = await l402Fetch(`${server.url}/counted`, { credentialCache, dryRun: true });
+  const after = credentialCache.stats();
+  assert(quietQuote.cached && after.hits === hits && after.misses === misses, 'quote checks the cache without counting a hit or miss');
+  credentialCache.close();
+  await server.close();
+
+  const free = await listen((req, res) => res.end('ok'));
+  const freeQuote = await l402Fetch(free.url, { cache: false, dryRun: true });
+  assert(!freeQuote.paymentRequired && freeQuote.amountSats === 0 && freeQuote.status === 200, 'quote of a free endpoint costs nothing');
+  await free.close();
+}
+
+console.log('\nPayment approval:');
+
+{
+  const { createL402Client, PaymentDeniedError, SpendingBudget } = require('./lib');
+  const server = await createTestServer({ amountSats: 30, description: 'Expensive data' });
+  const wallet = createMockWallet();
+  const asked = [];
+
+  const client = createL402Client({
+    wallet,
+    cache: false,
+    approvePayment: async (request) => {
+      asked.push(request);
+      return request.amountSats <= 10 || { approve: false, reason: 'needs review' };
+    }
+  });
+  let denied = null;
+  try { await client(`${server.url}/data`); } catch (err) { denied = err; }
+  const request = asked[0];
+  assert(
+    request.url === `${server.url}/data` && request.method === 'GET' && request.amountSats === 30 &&
+      request.description === 'Expensive data' && request.host === new URL(server.url).host && request.invoice.startsWith('lnbc'),
+    'approvePayment receives the payment details'
+  );
+  assert(
+    denied instanceof PaymentDeniedError && denied.code === 'L402_PAYMENT_DENIED' && denied.reason === 'needs review' &&
+      denied.amountSats === 30 && denied.message.includes('needs review'),
+    'a denial throws PaymentDeniedError with the reason'
+  );
+  assert(wallet.payments === 0, 'a denied payment is not paid');
+
+  const budget = new SpendingBudget({ dailySats: 100 });
+  let undecided = null;
+  try {
+    await l402Fetch(`${server.url}/data`, { wallet, budget, cache: false, approvePayment: async () => undefined });
+  } catch (err) { undecided = err; }
+  assert(undecided instanceof PaymentDeniedError && budget.spent().daily === 0, 'anything but an explicit approval denies, reserving nothing');
+
+  let review;
+  const reviewed = l402Fetch(`${server.url}/data`, {
+    wallet,
+    cache: false,
+    approvePayment: () => new Promise(resolve => { review = resolve; })
+  });
+  await new Promise(r => setTimeout(r, 20));
+  assert(wallet.payments === 0, 'payment waits for the approver');
+  review(true);
+  assert((await reviewed).status === 200 && wallet.payments === 1, 'payment goes through once approved');
+
+  const never = () => new Promise(() => {});
+  let timedOut = null;
+  try {
+    await l402Fetch(`${server.url}/data`, { wallet, cache: false, approvePayment: never, approvalTimeoutMs: 20 });
+  } catch (err) { timedOut = err; }
+  assert(timedOut instanceof PaymentDeniedError && timedOut.timedOut && wallet.payments === 1, 'an unanswered approval is denied by default');
+  const approvedByDefault = await l402Fetch(`${server.url}/data`, {
+    wallet, cache: false, approvePayment: never, approvalTimeoutMs: 20, approvalDefault: 'approve'
+  });
+  assert(approvedByDefault.status === 200 && wallet.payments === 2, 'approvalDefault approve pays on timeout');
+
+  let overLimit = null;
+  try {
+    await l402Fetch(`${server.url}/data`, { wallet, cache: false, maxAmountSats: 20, approvePayment: async () => true });
+  } catch (err) { overLimit = err; }
+  assert(overLimit && overLimit.message.includes('exceeds maxAmountSats'), 'a plain approval keeps maxAmountSats');
+  const raised = await l402Fetch(`${server.url}/data`, {
+    wallet, cache: false, maxAmountSats: 20, approvePayment: async () => ({ approve: true, maxAmountSats: 50 })
+  });
+  assert(raised.status === 200 && wallet.payments === 3, 'an approval can raise the limit for that payment');
+
+  let badDefault = null;
+  try { await l402Fetch(`${server.url}/data`, { wallet, approvalDefault: 'maybe' }); } catch (err) { badDefault = err.message; }
+  assert(badDefault && badDefault.includes('approvalDefault'), 'approvalDefault is validated');
+  await server.close();
+}
+
+console.log('\nPayment policy:');
+
+{
+  const { PaymentPolicy, PolicyViolationError, PaymentLedger, createL402Client } = require('./lib');
+
+  const hosts = new PaymentPolicy({ allowHosts: ['*.example.com', 'api.partner.io'], blockHosts: ['staging.example.com'] });
+  assert(hosts.evaluate({ url: 'https://a.b.example.com/x', amountSats: 1 }).allowed, 'wildcards match any subdomain depth');
+  assert(!hosts.evaluate({ url: 'https://example.com/x', amountSats: 1 }).allowed, '*.example.com does not match the bare domain');
+  const blocked = hosts.evaluate({ url: 'https://staging.example.com/x', amountSats: 1 });
+  assert(!blocked.allowed && blocked.violation.rule === 'blockHosts', 'blocked hosts win over allowed ones');
+  assert(hosts.evaluate({ url: 'https://api.partner.io:8443/x', amountSats: 1 }).allowed, 'host patterns without a port ignore it');
+
+  const prices = new PaymentPolicy({
+    maxPriceSats: { '*': 10, 'api.example.com': 50, 'api.example.com/reports/*': 200 },
+    maxInvoiceExpirySeconds: 600,
+    requireHttps: true
+  });
+  assert(!prices.evaluate({ url: 'https://other.io/x', amountSats: 11 }).allowed, 'default price cap');
+  assert(prices.evaluate({ url: 'https://api.example.com/x', amountSats: 50 }).allowed, 'per-host price cap');
+  const report = prices.evaluate({ url: 'https://api.example.com/reports/q3', amountSats: 150, expirySeconds: 300 });
+  assert(report.allowed && report.checks.find(c => c.rule === 'maxPriceSats').detail.includes('reports/*'), 'the most specific price cap applies');
+  assert(prices.evaluate({ url: 'https://other.io/x', amountSats: 1, expirySeconds: 3600 }).violation.rule === 'maxInvoiceExpirySeconds', 'long-lived invoices are refused');
+  assert(prices.evaluate({ url: 'http://other.io/x', amountSats: 1 }).violation.rule === 'requireHttps', 'requireHttps refuses plain http');
+  assert(prices.evaluate({ url: 'https://other.io/x', amountSats: null }).violation.rule === 'maxPriceSats', 'amountless invoices fail a price cap');
+
+  const office = new PaymentPolicy({ allowedHours: { from: '08:00', to: '20:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] } });
+  assert(office.evaluate({ url: 'https://a.io/', amountSats: 1 }, Date.parse('2026-10-19T10:00:00Z')).allowed, 'payments inside allowed hours');
+  assert(!office.evaluate({ url: 'https://a.io/', amountSats: 1 }, Date.parse('2026-10-19T20:00:00Z')).allowed, 'the end of the window is exclusive');
+  assert(!office.evaluate({ url: 'https://a.io/', amountSats: 1 }, Date.parse('2026-10-17T10:00:00Z')).allowed, 'days outside the list are refused');
+  const night = new PaymentPolicy({ allowedHours: { from: '22:00', to: '06:00', days: ['fri'], timeZone: 'America/New_York' } });
+  assert(night.evaluate({ url: 'https://a.io/', amountSats: 1 }, Date.parse('2026-10-17T06:00:00Z')).allowed, 'overnight windows belong to the day they start, in their time zone');
+  assert(!night.evaluate({ url: 'https://a.io/', amountSats: 1 }, Date.parse('2026-10-18T06:00:00Z')).allowed, 'overnight windows end on the next day');
+
+  for (const [rules, expected] of [
+    [{ maxPrice: 5 }, 'unknown rule "maxPrice"'],
+    [{ allowedHours: { from: '8am', to: '20:00' } }, 'allowedHours.from'],
+    [{ allowedHours: { from: '08:00', to: '20:00', timeZone: 'Mars/Olympus' } }, 'timeZone'],
+    [{ maxPriceSats: { '*': -1 } }, 'maxPriceSats for "*"']
+  ]) {
+    let message = null;
+    try { new PaymentPolicy(rules); } catch (err) { message = err.message; }
+    assert(message && message.includes(expected), `invalid policy is rejected: ${expected}`);
+  }
+
+  const server = await createTestServer({ amountSats: 30 });
+  const wallet = createMockWallet();
+  const file = path.join(os.tmpdir(), `l402-policy-${process.pid}.json`);
+  const writePolicy = (rules, mtime) => {
+    fs.writeFileSync(file, typeof rules === 'string' ? rules : JSON.stringify(rules));
+    fs.utimesSync(file, mtime, mtime);
+  };
+  writePolicy({ allowHosts: ['127.0.0.1'], maxPriceSats: 20 }, 1000);
+
+  const events = [];
+  const ledger = new PaymentLedger();
+  const client = createL402Client({ wallet, cache: false, policy: file, ledger, onPayment: e => events.push(e) });
+  let violation = null;
+  try { await client(`${server.url}/data`); } catch (err) { violation = err; }
+  assert(
+    violation instanceof PolicyViolationError && violation.code === 'L402_POLICY_VIOLATION' && violation.rule === 'maxPriceSats' &&
+      violation.evaluation.checks.length === 2 && wallet.payments === 0,
+    'a violation throws PolicyViolationError before paying'
+  );
+  const quote = await client.quote(`${server.url}/data`);
+  assert(quote.policy.violation.rule === 'maxPriceSats' && quote.reason.includes('policy'), 'quotes include the policy evaluation');
+
+  writePolicy({ allowHosts: ['127.0.0.1'], maxPriceSats: 50 }, 2000);
+  const paid = await client(`${server.url}/data`, { onPayment: e => events.push(e) });
+  assert(paid.status === 200 && client.policy.version === 2, 'the policy file is reloaded when it changes');
+  assert(events[0].policy.allowed && events[0].policy.checks.some(c => c.rule === 'allowHosts' && c.passed), 'the payment event carries the evaluation');
+  const [entry] = await ledger.query();
+  assert(entry.policy && entry.policy.version === 2, 'the ledger records the evaluation');
+
+  writePolicy('{ not json', 3000);
+  const stillPaid = await client(`${server.url}/again`, { onPayment: e => events.push(e) });
+  assert(stillPaid.status === 200 && client.policy.error && client.policy.version === 2 && events.length === 2, 'a broken policy file keeps the last good rules');
+
+  fs.unlinkSync(file);
+  await server.close();
+}
+
+console.log('\nLifecycle events:');
+
+{
+  const wallet = createMockWallet();
+  const seen = [];
+  const record = name => e => seen.push({ name, ...e });
+  const mw = l402({
+    wallet,
+    amountSats: 4,
+    maxCalls: 1,
+    onChallenge: record('challenge'),
+    onVerified: record('verified'),
+    onRejected: record('rejected'),
+    onQuotaExhausted: record('quotaExhausted')
+  });
+  const call = async (headers = {}) => {
+    const req = { method: 'GET', url: '/events?x=1', headers };
+    const res = createMockRes();
+    await mw(req, res, () => {});
+    return { req, res };
+  };
+
+  const { req, res } = await call({ 'x-agent': 'a1' });
+  const body = JSON.parse(res.body);
+  const [challenge] = seen;
+  assert(
+    challenge.name === 'challenge' && challenge.method === 'GET' && challenge.path === '/events' && challenge.url === '/events?x=1' &&
+      challenge.amountSats === 4 && challenge.paymentHash === body.paymentHash && challenge.invoice === body.invoice &&
+      challenge.reason === null && challenge.probe === false && typeof challenge.timestamp === 'number',
+    'challenge event carries request metadata, price and payment hash'
+  );
+  assert(challenge.request === req && challenge.request.headers['x-agent'] === 'a1', 'events carry the framework request');
+
+  const { preimage } = await wallet.payInvoice(body.invoice);
+  seen.length = 0;
+  await call({ authorization: `L402 ${body.macaroon}:${'00'.repeat(32)}` });
+  assert(seen[0].name === 'rejected' && seen[0].reason === 'bad_preimage' && seen[0].paymentHash === body.paymentHash, 'a wrong preimage is rejected with its reason');
+  assert(seen[1].name === 'challenge' && seen[1].reason === 'bad_preimage', 'the new challenge says why');
+
+  seen.length = 0;
+  const paid = await call({ authorization: `L402 ${body.macaroon}:${preimage}` });
+  assert(
+    seen.length === 1 && seen[0].name === 'verified' && seen[0].paymentHash === body.paymentHash && seen[0].paidSats === 4 &&
+      seen[0].remainingCalls === 0 && seen[0].firstUse === true && paid.req.l402,
+    'verified event on a paid request'
+  );
+
+  seen.length = 0;
+  await call({ authorization: `L402 ${body.macaroon}:${preimage}` });
+  assert(seen.map(e => e.name).join() === 'rejected,quotaExhausted,challenge', 'a used-up token emits rejected and quotaExhausted');
+  assert(seen[1].reason === 'quota_exhausted' && seen[1].maxCalls === 1 && seen[2].reason === 'quota_exhausted', 'quota events carry the quota');
+
+  seen.length = 0;
+  const foreign = l402({ wallet, amountSats: 4 });
+  const foreignRes = createMockRes();
+  await foreign({ method: 'GET', url: '/events', headers: {} }, foreignRes, () => {});
+  const foreignBody = JSON.parse(foreignRes.body);
+  await call({ authorization: `L402 ${foreignBody.macaroon}:${'00'.repeat(32)}` });
+  assert(seen[0].reason === 'invalid_token', 'tokens from another root key are rejected as invalid_token');
+
+  const scoped = l402({ wallet, amountSats: 4 });
+  const scopedEvents = [];
+  scoped.events.on('rejected', e => scopedEvents.push(e));
+  const otherPath = createMockRes();
+  await scoped({ method: 'GET', url: '/a', headers: {} }, otherPath, () => {});
+  const otherBody = JSON.parse(otherPath.body);
+  await scoped({ method: 'GET', url: '/b', headers: { authorization: `L402 ${otherBody.macaroon}:${'00'.repeat(32)}` } }, createMockRes(), () => {});
+  assert(scopedEvents[0].reason === 'wrong_scope', 'tokens for another route are rejected as wrong_scope');
+
+  const broken = l402({ wallet: { createInvoice: async () => { throw new Error('node offline'); } }, amountSats: 4 });
+  let invoiceError = null;
+  broken.events.on('invoiceError', e => { invoiceError = e; });
+  const brokenRes = createMockRes();
+  await broken({ method: 'GET', url: '/down', headers: {} }, brokenRes, () => {});
+  assert(brokenRes.statusCode === 500 && invoiceError.error.message === 'node offline' && invoiceError.path === '/down', 'invoice failures emit invoiceError');
+
+  const noisy = l402({ wallet, amountSats: 4, onChallenge: () => { throw new Error('analytics down'); } });
+  const warnings = [];
+  const onWarning = w => warnings.push(w.message);
+  process.on('warning', onWarning);
+  const noisyRes = createMockRes();
+  await noisy({ method: 'GET', url: '/n', headers: {} }, noisyRes, () => {});
+  await new Promise(r => setImmediate(r));
+  process.off('warning', onWarning);
+  assert(noisyRes.statusCode === 402 && warnings.some(m => m.includes('analytics down')), 'a throwing listener does not break the paywall');
+
+  const later = [];
+  const asyncNoisy = l402({ wallet, amountSats: 4, onChallenge: async () => { throw new Error('webhook down'); } });
+  asyncNoisy.events.once('challenge', () => later.push('once'));
+  asyncNoisy.events.on('challenge', () => later.push('on'));
+  process.on('warning', onWarning);
+  const asyncRes = createMockRes();
+  await asyncNoisy({ method: 'GET', url: '/n', headers: {} }, asyncRes, () => {});
+  await asyncNoisy({ method: 'GET', url: '/n', headers: {} }, createMockRes(), () => {});
+  await new Promise(r => setImmediate(r));
+  process.off('warning', onWarning);
+  assert(asyncRes.statusCode === 402 && warnings.some(m => m.includes('webhook down')), 'a rejecting async listener is reported, not left unhandled');
+  assert(later.join() === 'once,on,on', 'listeners after a failing one still run, and once() listeners run once');
+  assertThrows(() => l402({ wallet, amountSats: 1, onVerified: 'yes' }), 'on* options must be functions');
+
+  const gateEvents = [];
+  const gate = l402.routes({ 'GET /a': 1, 'GET /b': 2 }, { wallet, onChallenge: e => gateEvents.push(e.path) });
+  await gate({ method: 'GET', url: '/a', headers: {} }, createMockRes(), () => {});
+  await gate({ method: 'GET', url: '/b', headers: {} }, createMockRes(), () => {});
+  assert(gateEvents.join() === '/a,/b' && gate.events.listenerCount('challenge') === 1, 'route tables share one emitter');
+}
+
+console.log('\nFramework adapters:');
+
+{
+  const { l402Koa, l402Fastify, l402Handler } = require('./lib');
+  const wallet = createMockWallet();
+  const store = new MemoryStore();
+  const rootKey = crypto.randomBytes(32);
+  const shared = { wallet: createMockWallet(), store, rootKey, scope: 'service', service: 'api', maxCalls: 5 };
+
+  // Pay a 402 challenge body and return the Authorization header for it
+  async function authFor(body) {
+    const { macaroon, invoice } = JSON.parse(body);
+    const { preimage } = await wallet.payInvoice(invoice);
+    return `L402 ${macaroon}:${preimage}`;
+  }
+
+  // Koa: the parts of ctx the adapter uses
+  const koaContext = (headers = {}) => {
+    const ctx = { method: 'GET', url: '/koa?x=1', originalUrl: '/api/koa?x=1', headers, state: {}, status: 404, body: undefined, response: {} };
+    ctx.set = (fields) => Object.assign(ctx.response, fields);
+    return ctx;
+  };
+  let pricedWith = null;
+  const koa = l402Koa({ ...shared, amountSats: (ctx) => { pricedWith = ctx; return 3; } });
+  const koaChallenge = koaContext();
+  let koaNext = false;
+  await koa(koaChallenge, async () => { koaNext = true; });
+  assert(!koaNext && koaChallenge.status === 402 && koaChallenge.response['WWW-Authenticate'].startsWith('L402 '), 'koa: unpaid request gets a 402 challenge');
+  assert(pricedWith === koaChallenge && JSON.parse(koaChallenge.body).amountSats === 3, 'koa: pricing receives the context');
+  const koaAuth = await authFor(koaChallenge.body);
+  const koaPaid = koaContext({ authorization: koaAuth });
+  await koa(koaPaid, async () => { koaNext = true; });
+  assert(koaNext && koaPaid.state.l402.amountSats === 3 && koaPaid.response['L402-Remaining-Calls'] === '4', 'koa: paid request reaches next() with ctx.state.l402');
+
+  // Fastify: a request and a chainable reply
+  const fastifyReply = () => {
+    const reply = { statusCode: 200, sent: null, fields: {} };
+    reply.headers = (fields) => { Object.assign(reply.fields, fields); return reply; };
+    reply.code = (status) => { reply.statusCode = status; return reply; };
+    reply.send = (body) => { reply.sent = body; return reply; };
+    return reply;
+  };
+  const fastify = l402Fastify({ ...shared, amountSats: 3 });
+  const unpaidReply = fastifyReply();
+  const stopped = await fastify({ method: 'POST', url: '/api/fastify', headers: {} }, unpaidReply);
+  assert(stopped === unpaidReply && unpaidReply.statusCode === 402 && JSON.parse(unpaidReply.sent).invoice, 'fastify: unpaid request is answered and the route stops');
+  const fastifyRequest = { method: 'POST', url: '/api/fastify', headers: { authorization: await authFor(unpaidReply.sent) } };
+  const paidReply = fastifyReply();
+  const passed = await fastify(fastifyRequest, paidReply);
+  assert(passed === undefined && paidReply.sent === null && fastifyRequest.l402.remainingCalls === 4, 'fastify: paid request continues with request.l402');
+  assert(paidReply.fields['L402-Remaining-Calls'] === '4', 'fastify: metering headers are set on the reply');
+
+  // fetch-style: real Request and Response objects
+  const handler = l402Handler({ ...shared, amountSats: 3 }, (request, env) =>
+    Response.json({ paid: request.l402.amountSats, env }, { headers: { 'X-Handler': 'yes' } }));
+  const unpaid = await handler(new Request('http://example.test/api/fetch'));
+  assert(unpaid.status === 402 && parseWwwAuthenticate(unpaid.headers.get('www-authenticate')) !== null, 'fetch: unpaid request gets a 402 Response');
+  const auth = await authFor(await unpaid.text());
+  const paid = await handler(new Request('http://example.test/api/fetch', { headers: { authorization: auth } }), 'worker-env');
+  assert(paid.status === 200 && paid.headers.get('x-handler') === 'yes' && paid.headers.get('l402-remaining-calls') === '4', 'fetch: handler response is returned with metering headers');
+  assert((await paid.json()).env === 'worker-env', 'fetch: extra handler arguments are passed through');
+
+  // One store and root key: a token bought through one adapter works through another
+  const crossReply = fastifyReply();
+  const crossRequest = { method: 'GET', url: '/api/other', headers: { authorization: koaAuth } };
+  await fastify(crossRequest, crossReply);
+  assert(crossReply.sent === null && crossRequest.l402.remainingCalls === 3, 'adapters sharing a store accept each other\'s tokens');
+
+  const failing = l402Koa({ wallet, amountSats: () => { throw new Error('pricing down'); } });
+  const koaError = await failing(koaContext(), async () => {}).catch(err => err);
+  assert(koaError.message === 'pricing down', 'koa: pricing errors are thrown to the app');
+  assertThrows(() => l402Handler({ wallet, amountSats: 1 }), 'fetch: handler function is required');
+  assertThrows(() => l402Fastify({ amountSats: 1 }), 'adapters validate options like l402()');
+}
+
+console.log('\nBOLT11 decoding:');
+
+{
+  const paymentHash = crypto.randomBytes(32).toString('hex');
+
+  // Test vector from the BOLT11 spec ("1 cup coffee", 2500u, 60s expiry)
+  const spec = decodeInvoice('lnbc2500u1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdq5xysxxatsyp3k7enxv4jsxqzpu9qrsgquk0rl77nj30yxdy8j9vdx85fkpmdla2087ne0xh8nhedh8w27kyke0lp53ut353s06fv3qfegext0eh0ymjpf39tuven09sam30g4vgpfna3rh');
+  assert(spec.network === 'bitcoin' && spec.amountSats === 250000, 'spec vector: network and amount');
+  assert(spec.paymentHash === '0001020304050607080900010203040506070809000102030405060708090102', 'spec vector: payment hash');
+  assert(spec.description === '1 cup coffee' && spec.expiry === 60, 'spec vector: description and expiry');
+  assert(spec.expiresAt === (1496314658 + 60) * 1000, 'spec vector: expiresAt from timestamp + expiry');
+
+  const amounts = [
+    [{ amountSats: 25 }, 'lnbc250n1', 25, 25000],
+    [{ amountSats: 100000 }, 'lnbc1m1', 100000, 100000000],
+    [{ amountSats: 100000000 }, 'lnbc11', 100000000, 100000000000],
+    [{ amountMsat: 1 }, 'lnbc10p1', 1, 1],
+    [{ amountMsat: 1500 }, 'lnbc15n1', 2, 1500]
+  ];
+  for (const [fields, prefix, sats, msat] of amounts) {
+    const invoice = encodeInvoice({ paymentHash, ...fields });
+    const decoded = decodeInvoice(invoice);
+    assert(invoice.startsWith(prefix) && decoded.amountSats === sats && decoded.amountMsat === msat,
+      `amount ${prefix.slice(4, -1)}: ${msat} msat, ${sats} sats (rounded up)`);
+  }
+
+  const amountless = decodeInvoice(encodeInvoice({ paymentHash }));
+  assert(amountless.amountSats === null && amountless.amountMsat === null, 'amountless invoice has null amount');
+
+  const full = decodeInvoice(encodeInvoice({ paymentHash, amountSats: 5, network: 'regtest', description: 'haiku', expiry: 90, timestamp: 1700000000 }));
+  assert(full.network === 'regtest' && full.description === 'haiku', 'network and description round-trip');
+  assert(full.paymentHash === paymentHash && full.expiresAt === 1700000090000, 'payment hash and expiry round-trip');
+  assert(decodeInvoice(encodeInvoice({ paymentHash, amountSats: 1 })).expiry === 3600, 'expiry defaults to 3600s');
+
+  const valid = encodeInvoice({ paymentHash, amountSats: 25 });
+  assert(decodeInvoice(`lightning:${valid.toUpperCase()}`).amountSats === 25, 'accepts lightning: prefix and upper case');
+  const flipped = valid.slice(0, -1) + (valid.endsWith('q') ? 'p' : 'q');
+  assertThrows(() => decodeInvoice(flipped), 'rejects bad checksum');
+  assertThrows(() => decodeInvoice(valid.slice(0, 10) + valid.slice(10).toUpperCase()), 'rejects mixed case');
+  assertThrows(() => decodeInvoice('lnxx1' + valid.slice(valid.lastIndexOf('1') + 1)), 'rejects unknown prefix');
+  assertThrows(() => decodeInvoice('lnbc250n1known'), 'rejects non-bech32 strings');
+}
+
+// ─── Client: pre-payment invoice validation ───
 
-console.log('\nmaxAmountSats enforcement:');
+console.log('\nPre-payment invoice validation:');
 
-// Test with mock wallet that decodes invoices
 {
-  const mockWallet = {
-    decodeInvoice(inv) {
-      // lnbc500n = 500 nano-BTC = 50 sats
-      if (inv.startsWith('lnbc500n')) return { amountSats: 50 };
-      if (inv.startsWith('lnbc250n')) return { amountSats: 25 };
-      return { amountSats: null };
-    },
+  // Serves whatever challenge the test sets, with a lying JSON body
+  let challenge = null;
+  const server = await listen((req, res) => {
+    res.statusCode = 402;
+    res.setHeader('WWW-Authenticate', buildWwwAuthenticateHeader(challenge.invoice, challenge.macaroon));
+    res.end(JSON.stringify({ amountSats: 1 }));
+  });
+  const wallet = {
+    payments: 0,
     async payInvoice() {
+      wallet.payments++;
       return { preimage: KNOWN_PREIMAGE };
     }
   };
 
-  // We can't easily test l402Fetch without a real HTTP server,
-  // but we can test the amount checking logic by testing the decoder
-  const decoded50 = mockWallet.decodeInvoice('lnbc500n1test');
-  assert(decoded50.amountSats === 50, 'decodes 50 sat invoice');
+  async function refuses(fields, fetchOpts, pattern, message) {
+    challenge = {
+      invoice: encodeInvoice({ paymentHash: KNOWN_HASH, ...fields }),
+      macaroon: fields.token || KNOWN_HASH
+    };
+    const before = wallet.payments;
+    let error = null;
+    try {
+      await l402Fetch(`${server.url}/`, { wallet, cache: false, ...fetchOpts });
+    } catch (err) {
+      error = err;
+    }
+    assert(error !== null && pattern.test(error.message) && wallet.payments === before, message);
+  }
+
+  await refuses({ amountSats: 50 }, { maxAmountSats: 30 }, /exceeds maxAmountSats/, 'over maxAmountSats refused (body amount ignored)');
+  await refuses({ amountSats: 5, timestamp: Math.floor(Date.now() / 1000) - 120, expiry: 60 }, {}, /expired/, 'expired invoice refused');
+  await refuses({ amountSats: 5, network: 'testnet' }, {}, /testnet, expected bitcoin/, 'wrong network refused');
+  await refuses({ amountSats: 5 }, { network: 'regtest' }, /expected regtest/, 'network option is enforced');
+  await refuses({ amountSats: 5, token: crypto.randomBytes(32).toString('hex') }, {}, /payment hash/, 'payment hash mismatch refused');
+  await refuses({ amountSats: 5, token: 'AgJub3Q' }, {}, /payment hash/, 'undecodable token refused');
+  await refuses({}, { maxAmountSats: 30 }, /no amount/, 'amountless invoice refused by default');
+
+  challenge = { invoice: 'lnbc250n1known', macaroon: KNOWN_HASH };
+  const garbage = await l402Fetch(`${server.url}/`, { wallet, cache: false }).catch(err => err);
+  assert(/could not be decoded/.test(garbage.message) && wallet.payments === 0, 'undecodable invoice refused');
+
+  challenge = { invoice: encodeInvoice({ paymentHash: KNOWN_HASH }), macaroon: KNOWN_HASH };
+  const amountlessRes = await l402Fetch(`${server.url}/`, { wallet, cache: false, allowAmountless: true });
+  assert(amountlessRes.status === 402 && wallet.payments === 1, 'allowAmountless pays amountless invoices');
+
+  await server.close();
+}
+
+{
+  const wallet = createMockWallet();
+  const server = await createTestServer({ amountSats: 25 });
+
+  const payments = [];
+  const res = await l402Fetch(`${server.url}/`, { wallet, cache: false, maxAmountSats: 25, onPayment: p => payments.push(p) });
+  assert(res.status === 200 && wallet.payments === 1, 'invoice at maxAmountSats is paid');
+  assert(payments.length === 1 && payments[0].amountSats === 25, 'onPayment reports the decoded invoice amount');
+
+  await server.close();
+}
+
+// ─── Client: spending budgets ───
+
+console.log('\nSpending budgets:');
+
+{
+  const now = Date.now();
+  const budget = new SpendingBudget({ hourlySats: 10, dailySats: 15, perHostSats: 8, hosts: { 'big.example': 12 }, lifetimeSats: 20 });
+
+  budget.reserve('a.example', 6, now);
+  assertThrows(() => budget.reserve('a.example', 3, now), 'per-host cap enforced');
+  assert(budget.reserve('big.example', 4, now).sats === 4, 'host override allows more than perHostSats');
+  assertThrows(() => budget.reserve('c.example', 1, now), 'hourly cap enforced across hosts');
+
+  const later = now + 2 * 3600000;
+  const left = budget.remaining('big.example', later);
+  assert(left.hourly === 10 && left.daily === 5 && left.host === 8 && left.lifetime === 10, 'remaining reports rolling windows, host and lifetime');
+  assertThrows(() => budget.reserve('c.example', 6, later), 'daily cap counts spends outside the hourly window');
+
+  const held = budget.reserve('c.example', 5, later);
+  budget.release(held);
+  assert(budget.remaining('c.example', later).daily === 5, 'release gives a reservation back');
+
+  budget.reset('daily', undefined, later);
+  assert(budget.remaining(undefined, later).daily === 15, 'reset clears one window');
+  budget.setLimits({ lifetimeSats: null, hourlySats: 100 });
+  assert(budget.remaining(undefined, later).lifetime === null && budget.remaining(undefined, later).hourly === 100, 'setLimits raises and removes caps at runtime');
+  assertThrows(() => budget.setLimits({ dailySats: -1 }), 'negative limit throws');
+}
+
+{
+  const file = path.join(os.tmpdir(), `l402-budget-${process.pid}.json`);
+  const first = new SpendingBudget({ dailySats: 10, filePath: file });
+  first.reserve('a.example', 7);
+  const restarted = new SpendingBudget({ dailySats: 10, filePath: file });
+  assert(restarted.remaining('a.example').daily === 3, 'persisted counters survive a restart');
+  restarted.reset();
+  assert(new SpendingBudget({ dailySats: 10, filePath: file }).remaining().daily === 10, 'reset is persisted');
+  fs.unlinkSync(file);
+}
+
+{
+  const { createL402Client } = require('./lib');
+  const wallet = createMockWallet();
+  const server = await createTestServer({ amountSats: 3 });
+
+  const client = createL402Client({ wallet, budget: { hourlySats: 7 } });
+  assert(client.budget instanceof SpendingBudget, 'createL402Client: exposes its budget');
+  assert((await client(`${server.url}/a`)).status === 200 && (await client(`${server.url}/b`)).status === 200, 'createL402Client: pays within budget');
+  const over = await client(`${server.url}/c`).catch(err => err);
+  assert(/hourly budget/.test(over.message) && wallet.payments === 2, 'createL402Client: refuses before paying once over budget');
+
+  client.budget.setLimits({ hourlySats: 10 });
+  assert((await client(`${server.url}/c`)).status === 200 && client.budget.spent().hourly === 9, 'createL402Client: raised budget takes effect');
+
+  const failing = {
+    async payInvoice() { throw new Error('route not found'); },
+    async lookupInvoice() { return { paid: false }; }
+  };
+  const budget = new SpendingBudget({ lifetimeSats: 5 });
+  const failed = await l402Fetch(`${server.url}/d`, { wallet: failing, budget, cache: false }).catch(err => err);
+  assert(failed.message === 'route not found' && budget.spent().lifetime === 0, 'failed payment releases its reservation');
+
+  // Without a definite answer from the wallet the payment may still settle
+  const unsure = {
+    async payInvoice() { throw new Error('timed out'); },
+    async lookupInvoice() { return { paid: false, pending: true }; }
+  };
+  const timedOut = await l402Fetch(`${server.url}/d`, { wallet: unsure, budget, cache: false }).catch(err => err);
+  assert(timedOut.message === 'timed out' && budget.spent().lifetime === 3, 'payment of unknown status keeps its reservation');
+
+  // A wallet that can't look payments up never locks a URL out
+  let attempts = 0;
+  const lookupless = {
+    async payInvoice(invoice) {
+      if (attempts++ === 0) throw new Error('no route');
+      return wallet.payInvoice(invoice);
+    }
+  };
+  const plain = createL402Client({ wallet: lookupless, budget: { lifetimeSats: 10 } });
+  const noRoute = await plain(`${server.url}/e`).catch(err => err);
+  assert(noRoute.message === 'no route' && plain.budget.spent().lifetime === 0 && plain.pending === null, 'lookup-less wallet: a failed payment is released and nothing is kept pending');
+  const recovered = await plain(`${server.url}/e`);
+  assert(recovered.status === 200 && plain.budget.spent().lifetime === 3, 'lookup-less wallet: the next call pays normally');
+
+  await server.close();
+}
+
+// ─── Client: payment ledger ───
 
-  const decoded25 = mockWallet.decodeInvoice('lnbc250n1test');
-  assert(decoded25.amountSats === 25, 'decodes 25 sat invoice');
+console.log('\nPayment ledger:');
 
-  assert(decoded50.amountSats > 30, '50 sats exceeds 30 sat limit');
-  assert(decoded25.amountSats <= 30, '25 sats within 30 sat limit');
+{
+  const file = path.join(os.tmpdir(), `l402-ledger-${process.pid}.jsonl`);
+  const ledger = new PaymentLedger(file);
+  const base = { method: 'GET', invoice: 'lnbc1', preimage: KNOWN_PREIMAGE, paymentHash: KNOWN_HASH };
+  await ledger.record({ ...base, url: 'https://a.example/x', amountSats: 5, feeSats: 1, status: 200, timestamp: 1000 });
+  await ledger.record({ ...base, url: 'https://b.example/y', amountSats: 7, status: 200, timestamp: 2000 });
+  await ledger.record({ ...base, url: 'https://a.example/z?q=1,2', amountSats: 3, status: 500, timestamp: 3000 });
+
+  const reloaded = new PaymentLedger(file);
+  assert((await reloaded.query()).length === 3, 'entries survive a restart');
+  assert((await reloaded.query({ host: 'a.example' })).length === 2, 'query by host');
+  assert((await reloaded.query({ since: 2000, until: new Date(3000) })).map(e => e.host).join() === 'b.example', 'query by time range (since inclusive, until exclusive)');
+
+  const totals = await reloaded.totals();
+  assert(totals.count === 3 && totals.amountSats === 15 && totals.feeSats === 1, 'totals sum amounts and fees');
+  assert(totals.byHost['a.example'] === 8 && totals.byHost['b.example'] === 7, 'totals break down by host');
+
+  const csv = (await reloaded.exportCSV()).trim().split('\n');
+  assert(csv[0] === 'timestamp,url,host,method,invoice,paymentHash,preimage,amountSats,feeSats,status', 'CSV has a header row');
+  assert(csv[1].startsWith('1970-01-01T00:00:01.000Z,https://a.example/x,') && csv[2].includes(',7,,200'), 'CSV rows use ISO timestamps and blank missing fees');
+  assert(csv[3].includes('"https://a.example/z?q=1,2"'), 'CSV quotes fields containing commas');
+  assert(JSON.parse(await reloaded.exportJSON({ host: 'b.example' }))[0].amountSats === 7, 'JSON export honours filters');
+  assert((fs.statSync(file).mode & 0o777) === 0o600, 'ledger file is private to the owner');
+
+  // A torn line left by a crash doesn't swallow the next entry
+  fs.appendFileSync(file, '{"timestamp":4000,"url":"https://a.exa');
+  await new PaymentLedger(file).record({ ...base, url: 'https://c.example/after', amountSats: 1, timestamp: 5000 });
+  assert((await new PaymentLedger(file).query({ host: 'c.example' })).length === 1, 'entries after a torn line survive a restart');
+  fs.unlinkSync(file);
+}
+
+{
+  const { createL402Client } = require('./lib');
+  const wallet = createMockWallet({ feeSats: 2 });
+  const server = await createTestServer({ amountSats: 4 });
+
+  const client = createL402Client({ wallet, ledger: new PaymentLedger() });
+  await client(`${server.url}/paid?x=1`, { method: 'POST' });
+  await client(`${server.url}/paid?x=1`, { method: 'POST' });
+  const [entry, ...rest] = await client.ledger.query();
+  assert(rest.length === 0, 'createL402Client: records payments, not cached reuse');
+  assert(entry.url === `${server.url}/paid?x=1` && entry.method === 'POST' && entry.status === 200, 'entry has URL, method and retry status');
+  assert(entry.amountSats === 4 && entry.feeSats === 2 && entry.paymentHash === decodeInvoice(entry.invoice).paymentHash, 'entry has amount, wallet fee and payment hash');
+  assert(verifyPreimage(entry.preimage, entry.paymentHash), 'entry preimage proves the payment');
+
+  await server.close();
 }
 
 // ─── Roundtrip Test ───
@@ -424,6 +1913,382 @@ console.log('\nCache max size (LRU eviction):');
   cache.close();
 }
 
+console.log('\nCache recency and statistics:');
+
+{
+  const cache = new CredentialCache({ maxSize: 3 });
+  cache.set('https://a.com/1', { macaroon: '1', preimage: '1' });
+  cache.set('https://b.com/2', { macaroon: '2', preimage: '2' });
+  cache.set('https://c.com/3', { macaroon: '3', preimage: '3' });
+  cache.get('https://a.com/1');
+  cache.set('https://d.com/4', { macaroon: '4', preimage: '4' });
+  assert(cache.has('https://a.com/1') && !cache.has('https://b.com/2'), 'get() refreshes recency: least recently used entry evicted');
+  cache.set('https://c.com/3', { macaroon: '3b', preimage: '3' });
+  assert(cache.stats().size === 3 && cache.has('https://a.com/1'), 'replacing an entry evicts nothing');
+  cache.close();
+}
+
+{
+  const cache = new CredentialCache({ maxSize: 10, maxPerOrigin: 2, defaultTtlMs: 60000 });
+  cache.set('https://noisy.com/1', { macaroon: 'n1', preimage: 'n1' });
+  cache.set('https://quiet.com/1', { macaroon: 'q1', preimage: 'q1' });
+  cache.set('https://noisy.com/2', { macaroon: 'n2', preimage: 'n2' });
+  cache.set('https://noisy.com/3', { macaroon: 'n3', preimage: 'n3' });
+  assert(!cache.has('https://noisy.com/1') && cache.has('https://quiet.com/1'), 'maxPerOrigin evicts from the same origin only');
+
+  cache.get('https://quiet.com/1');
+  cache.get('https://quiet.com/missing');
+  cache.invalidate('https://noisy.com/2');
+  cache.set('https://quiet.com/old', { macaroon: 'o', preimage: 'o', expiresAt: Date.now() - 1 });
+  cache.cleanup();
+  cache.recordSavings('https://quiet.com/1', 25);
+
+  const stats = cache.stats();
+  assert(stats.hits === 1 && stats.misses === 1 && stats.evictions === 1 && stats.expirations === 1 && stats.invalidations === 1,
+    'stats count hits, misses, evictions, expirations and invalidations');
+  assert(stats.satsSaved === 25 && stats.byOrigin['https://quiet.com'].satsSaved === 25, 'stats count sats saved');
+  assert(stats.byOrigin['https://noisy.com'].size === 1 && stats.byOrigin['https://noisy.com'].evictions === 1 &&
+    stats.byOrigin['https://quiet.com'].misses === 1, 'stats break down by origin');
+  cache.resetStats();
+  assert(cache.stats().hits === 0 && cache.stats().size === 2, 'resetStats zeroes counters but keeps entries');
+  cache.close();
+}
+
+{
+  const wallet = createMockWallet();
+  const server = await createTestServer({ amountSats: 7, scope: 'service', service: 'api' });
+
+  const cache = new CredentialCache();
+  const hits = [];
+  for (const p of ['/a', '/b', '/c']) {
+    await l402Fetch(`${server.url}${p}`, { wallet, credentialCache: cache, onCacheHit: h => hits.push(h) });
+  }
+  assert(wallet.payments === 1 && cache.stats().satsSaved === 14, 'l402Fetch: reuse counts the credential price as saved');
+  assert(hits.length === 2 && hits[1].savedSats === 7 && hits[1].totalSavedSats === 14, 'l402Fetch: onCacheHit reports sats saved');
+
+  cache.close();
+  await server.close();
+}
+
+console.log('\nConcurrent payments:');
+
+{
+  // Slow payments, so every request has its challenge before the first one settles
+  const wallet = createMockWallet({ latencyMs: 50 });
+  const exact = l402({ wallet, amountSats: 3 });
+  const service = l402({ wallet, amountSats: 3, scope: 'service', service: 'api' });
+  const server = await listen((req, res) => {
+    const gate = req.url.startsWith('/svc') ? service : exact;
+    gate(req, res, () => res.end('ok'));
+  });
+
+  const cache = new CredentialCache();
+  const paid = [];
+  const burst = await Promise.all(Array.from({ length: 20 }, () =>
+    l402Fetch(`${server.url}/data`, { wallet, credentialCache: cache, onPayment: p => paid.push(p) })));
+  assert(burst.every(r => r.status === 200), 'parallel requests all succeed');
+  assert(wallet.payments === 1 && paid.length === 1, 'parallel requests to one endpoint pay once');
+
+  const scoped = await Promise.all(['/svc/a', '/svc/b', '/svc/c', '/svc/a'].map(p =>
+    l402Fetch(`${server.url}${p}`, { wallet, credentialCache: cache })));
+  assert(scoped.every(r => r.status === 200) && wallet.payments === 2, 'requests sharing a service-scoped credential pay once');
+
+  const separate = new CredentialCache();
+  await Promise.all([l402Fetch(`${server.url}/data`, { wallet, credentialCache: separate }), l402Fetch(`${server.url}/other`, { wallet, credentialCache: separate })]);
+  assert(wallet.payments === 4, 'different path-scoped credentials are paid separately');
+
+  let attempts = 0;
+  const failing = {
+    async payInvoice() {
+      attempts++;
+      await new Promise(r => setTimeout(r, 50));
+      throw new Error('no route');
+    }
+  };
+  const failCache = new CredentialCache();
+  const results = await Promise.allSettled(Array.from({ length: 5 }, () =>
+    l402Fetch(`${server.url}/data`, { wallet: failing, credentialCache: failCache })));
+  assert(results.every(r => r.status === 'rejected' && r.reason.message === 'no route'), 'a failed payment rejects every waiter');
+  assert(attempts === 1, 'waiters do not fall back to paying themselves');
+
+  cache.close();
+  separate.close();
+  failCache.close();
+  await server.close();
+}
+
+console.log('\nRequest bodies:');
+
+{
+  const { Readable } = require('stream');
+  const wallet = createMockWallet();
+  const gate = l402({ wallet, amountSats: 2 });
+  const seen = [];
+  const server = await listen((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      seen.push({ method: req.method, bytes: body.length, paid: Boolean(req.headers.authorization) });
+      gate(req, res, () => res.end(crypto.createHash('sha256').update(body).digest('hex')));
+    });
+  });
+  const sha = buf => crypto.createHash('sha256').update(buf).digest('hex');
+  const payload = crypto.randomBytes(64 * 1024);
+  const opts = extra => ({ wallet, cache: false, method: 'POST', ...extra });
+
+  const fromWebStream = await l402Fetch(`${server.url}/upload`, opts({ body: Readable.toWeb(Readable.from([payload])) }));
+  assert(fromWebStream.status === 200 && await fromWebStream.text() === sha(payload), 'ReadableStream body is buffered and replayed after payment');
+
+  async function* generate() { yield payload.subarray(0, 1000); yield 'tail'; }
+  const fromIterable = await l402Fetch(`${server.url}/upload`, opts({ body: generate() }));
+  assert(await fromIterable.text() === sha(Buffer.concat([payload.subarray(0, 1000), Buffer.from('tail')])), 'async iterable body is buffered and replayed after payment');
+
+  seen.length = 0;
+  const payments = wallet.payments;
+  const tooBig = await l402Fetch(`${server.url}/upload`, opts({ body: Readable.from([payload]), maxReplayBytes: 1024 })).catch(err => err);
+  assert(/maxReplayBytes/.test(tooBig.message) && seen.length === 0 && wallet.payments === payments, 'oversized one-shot body without probe fails before any request or payment');
+
+  seen.length = 0;
+  const probed = await l402Fetch(`${server.url}/upload`, opts({ body: Readable.from([payload]), maxReplayBytes: 1024, probe: 'HEAD' }));
+  assert(probed.status === 200 && await probed.text() === sha(payload), 'oversized one-shot body is uploaded after a HEAD probe');
+  assert(seen.map(r => `${r.method}:${r.bytes}:${r.paid}`).join() === `HEAD:0:false,POST:${payload.length}:true`, 'probe pays first, then the body is sent exactly once');
+
+  seen.length = 0;
+  await l402Fetch(`${server.url}/upload`, opts({ body: payload, maxReplayBytes: 1024, probe: 'OPTIONS' }));
+  assert(seen.filter(r => r.method === 'POST').length === 1, 'large replayable body is also sent once when probing');
+
+  const cache = new CredentialCache();
+  await l402Fetch(`${server.url}/upload`, opts({ body: 'x', cache: true, credentialCache: cache }));
+  const cached = cache.get(`${server.url}/upload`, 'POST');
+  cache.set(`${server.url}/upload`, { ...cached, preimage: '00'.repeat(32) }, 'POST');
+  const refused = await l402Fetch(`${server.url}/upload`, opts({ body: Readable.from([payload]), maxReplayBytes: 1024, credentialCache: cache })).catch(err => err);
+  assert(/can't be retried/.test(refused.message), 'refused credential after a one-shot upload is a clear error');
+
+  const badProbe = await l402Fetch(`${server.url}/upload`, opts({ probe: 'GET' })).catch(err => err);
+  assert(/probe must be/.test(badProbe.message), 'probe must be HEAD or OPTIONS');
+
+  cache.close();
+  await server.close();
+}
+
+{
+  const mw = l402({ wallet: createMockWallet(), amountSats: 5 });
+  const probeRes = createMockRes();
+  await mw({ method: 'HEAD', url: '/upload', headers: { 'l402-intended-method': 'post' } }, probeRes, () => {});
+  const token = inspectToken(JSON.parse(probeRes.body).macaroon);
+  assert(probeRes.statusCode === 402 && token.caveats.method === 'POST', 'middleware: HEAD probe gets a challenge for the intended method');
+}
+
+console.log('\nPayment recovery:');
+
+{
+  const serverWallet = createMockWallet();
+  const gate = l402({ wallet: serverWallet, amountSats: 4 });
+  let flaky = 0;
+  const server = await listen((req, res) => {
+    // The first paid request to /flaky fails once with a dropped connection, then a 402
+    if (req.url === '/flaky' && req.headers.authorization && flaky < 2) {
+      if (flaky++ === 0) return req.socket.destroy();
+      res.statusCode = 402;
+      return res.end('settling');
+    }
+    gate(req, res, () => res.end('ok'));
+  });
+
+  const wallet = createMockWallet();
+  const { payInvoice, lookupInvoice } = wallet;
+  const offline = async () => { throw new Error('node offline'); };
+  const pending = new PendingPayments();
+  const opts = extra => ({ wallet, pending, cache: false, retryDelayMs: 5, ...extra });
+
+  wallet.failNext('connection reset', { settle: true });
+  const thrown = await l402Fetch(`${server.url}/a`, opts());
+  assert(thrown.status === 200 && wallet.payments === 1, 'payInvoice error on a settled payment is recovered via lookupInvoice');
+  assert((await pending.list()).length === 0, 'pending record is removed once the paid request completes');
+
+  // Settles, but the wallet never answers
+  wallet.payInvoice = async (invoice) => {
+    await payInvoice(invoice);
+    return new Promise(() => {});
+  };
+  const hung = await l402Fetch(`${server.url}/b`, opts({ paymentTimeoutMs: 50 }));
+  assert(hung.status === 200 && wallet.payments === 2, 'payInvoice timeout on a settled payment is recovered via lookupInvoice');
+  wallet.payInvoice = payInvoice;
+
+  wallet.failNext('connection reset', { settle: true });
+  wallet.lookupInvoice = offline;
+  const unknown = await l402Fetch(`${server.url}/c`, opts()).catch(err => err);
+  const [kept] = await pending.list();
+  assert(unknown.message === 'connection reset' && kept && kept.preimage === null, 'payment of unknown status is kept pending');
+
+  const again = await l402Fetch(`${server.url}/c`, opts()).catch(err => err);
+  assert(/may have gone through/.test(again.message) && wallet.payments === 3, 'no new payment for a scope while an earlier one is unresolved');
+
+  wallet.lookupInvoice = lookupInvoice;
+  const resumed = await l402Fetch(`${server.url}/c`, opts());
+  assert(resumed.status === 200 && wallet.payments === 3, 'same scope reuses the pending payment instead of paying again');
+  assert((await pending.list()).length === 0, 'resumed payment is cleared from pending');
+
+  wallet.failNext('no route');
+  const unpaid = await l402Fetch(`${server.url}/d`, opts()).catch(err => err);
+  assert(unpaid.message === 'no route' && (await pending.list()).length === 0, 'payment the wallet reports unpaid is dropped');
+
+  const retried = await l402Fetch(`${server.url}/flaky`, opts());
+  assert(retried.status === 200 && flaky === 2 && wallet.payments === 4, 'paid retry backs off through a network error and a transient 402');
+
+  const file = path.join(os.tmpdir(), `l402-pending-${process.pid}.json`);
+  wallet.failNext('connection reset', { settle: true });
+  wallet.lookupInvoice = offline;
+  const crashed = createL402Client({ wallet, pending: file });
+  await crashed(`${server.url}/e`).catch(() => {});
+  assert((await new PendingPayments(file).list()).length === 1, 'pending payments persist to a file');
+
+  wallet.lookupInvoice = lookupInvoice;
+  const ledger = new PaymentLedger();
+  const restarted = createL402Client({ wallet, pending: file, ledger });
+  const recovered = await restarted.recoverPending();
+  assert(recovered.length === 1 && recovered[0].state === 'recovered', 'recoverPending resumes a payment left by a crash');
+  const after = await restarted(`${server.url}/e`);
+  assert(after.status === 200 && wallet.payments === 5, 'recovered credential is used without paying again');
+  assert((await ledger.totals()).count === 1 && (await new PendingPayments(file).list()).length === 0, 'recovered payment is recorded and cleared');
+
+  fs.unlinkSync(file);
+  await server.close();
+}
+
+console.log('\nTest harness:');
+
+{
+  // Resolved through package.json "exports", as a dependent would
+  assert(require('l402-agent/testing').createMockWallet && require('l402-agent/lib/macaroon').Macaroon &&
+    require('l402-agent/lib/bolt11.js').decodeInvoice, 'package exports keep deep imports of lib/ working');
+  const payee = createMockWallet({ network: 'regtest' });
+  const payer = createMockWallet({ balanceSats: 100, feeSats: 1 });
+  const { invoice, paymentHash } = await payee.createInvoice({ amountSats: 40, description: 'test' });
+  const decoded = decodeInvoice(invoice);
+  assert(decoded.network === 'regtest' && decoded.amountSats === 40 && decoded.paymentHash === paymentHash, 'mock invoices are decodable BOLT11');
+  assert((await payee.lookupInvoice(paymentHash)).paid === false, 'unpaid invoice is reported unpaid');
+
+  const { preimage } = await payer.payInvoice(invoice);
+  assert(verifyPreimage(preimage, paymentHash), 'payment returns a preimage that hashes to the invoice');
+  const looked = await payee.lookupInvoice(paymentHash);
+  assert(looked.paid && looked.preimage === preimage, 'payee sees the invoice settle');
+  assert(payer.balanceSats === 59 && payee.received === 1, 'balances move, including the fee');
+  assert(/already paid/.test((await payer.payInvoice(invoice).catch(err => err)).message), 'an invoice cannot be paid twice');
+
+  const big = await payee.createInvoice({ amountSats: 80 });
+  assert(/insufficient balance/.test((await payer.payInvoice(big.invoice).catch(err => err)).message), 'payments beyond the balance fail');
+  const expired = await payee.createInvoice({ amountSats: 1, expiry: -1 });
+  assert(/expired/.test((await payer.payInvoice(expired.invoice).catch(err => err)).message), 'expired invoices cannot be paid');
+
+  const later = await payee.createInvoice({ amountSats: 5 });
+  payer.failNext('connection reset', { settle: true });
+  const dropped = await payer.payInvoice(later.invoice).catch(err => err);
+  assert(dropped.message === 'connection reset' && (await payer.lookupInvoice(later.paymentHash)).paid, 'failNext can settle before failing');
+  const waited = await payee.waitForPayment(later.paymentHash, { timeoutMs: 10 });
+  assert(waited.paid, 'waitForPayment reports settlement');
+
+  const server = await createTestServer({ amountSats: 3, requireSettlement: true });
+  const client = createMockWallet();
+  const res = await l402Fetch(`${server.url}/thing`, { wallet: client, cache: false });
+  const body = await res.json();
+  assert(res.status === 200 && body.ok && body.l402.amountSats === 3, 'createTestServer serves l402() end to end');
+  assert(client.payments === 1 && server.wallet.received === 1, 'client and server wallets settle with each other in one process');
+  await server.close();
+}
+
+console.log('\nChallenge schemes:');
+
+{
+  const wallet = createMockWallet();
+  const gate = l402({ wallet, amountSats: 2, lsat: true });
+  const schemes = [];
+  // Behind a proxy that prepends its own Bearer challenge and only shows LSAT to old clients
+  const server = await listen((req, res) => {
+    if (req.headers.authorization) schemes.push(req.headers.authorization.split(' ')[0]);
+    const setHeader = res.setHeader.bind(res);
+    res.setHeader = (name, value) => name === 'WWW-Authenticate'
+      ? setHeader(name, ['Bearer realm="proxy"', value.replace(/^L402 [^,]*, [^,]*, /, '')])
+      : setHeader(name, value);
+    gate(req, res, () => res.end('ok'));
+  });
+
+  const cache = new CredentialCache();
+  const first = await l402Fetch(`${server.url}/old`, { wallet, credentialCache: cache });
+  const second = await l402Fetch(`${server.url}/old`, { wallet, credentialCache: cache });
+  assert(first.status === 200 && second.status === 200 && wallet.payments === 1, 'client pays an LSAT challenge sent alongside another scheme');
+  assert(schemes.join() === 'LSAT,LSAT', 'credentials are presented in the scheme they were issued under');
+
+  cache.close();
+  await server.close();
+}
+
+console.log('\nFile-backed cache storage:');
+
+{
+  const { FileCacheStorage } = require('./lib');
+  const { spawn } = require('child_process');
+  const file = path.join(os.tmpdir(), `l402-cache-${process.pid}.json`);
+  const encryptionKey = crypto.randomBytes(32);
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const cache = new CredentialCache({ storage: new FileCacheStorage(file, { encryptionKey }) });
+  cache.set('https://a.com/1', { macaroon: 'm1', preimage: secret });
+  cache.set('https://a.com/api/x', { macaroon: 'm2', preimage: 'p2', scope: { type: 'prefix', pathPrefix: '/api/' } }, 'GET');
+  cache.set('https://a.com/old', { macaroon: 'm3', preimage: 'p3', expiresAt: Date.now() - 1 });
+  cache.close();
+
+  assert(!fs.readFileSync(file, 'utf8').includes(secret), 'preimages are encrypted at rest');
+  assert((fs.statSync(file).mode & 0o777) === 0o600, 'cache file is private to the owner');
+
+  const restarted = new CredentialCache({ storage: new FileCacheStorage(file, { encryptionKey: encryptionKey.toString('hex') }) });
+  const beforeHit = fs.readFileSync(file, 'utf8');
+  assert(restarted.get('https://a.com/1').preimage === secret, 'credentials survive a restart');
+  assert(fs.readFileSync(file, 'utf8') === beforeHit, 'a cache hit does not rewrite the file');
+  assert(restarted.get('https://a.com/api/y', 'GET').macaroon === 'm2', 'scoped credentials survive a restart');
+  assert(restarted.get('https://a.com/old') === null, 'expired credentials still expire');
+  restarted.invalidate('https://a.com/1');
+  assert(new FileCacheStorage(file, { encryptionKey }).get('https://a.com/1') === undefined, 'invalidate is persisted');
+  restarted.close();
+
+  const wrongKey = new FileCacheStorage(file, { encryptionKey: crypto.randomBytes(32) });
+  assert(wrongKey.size === 0, 'entries sealed with another key are ignored');
+  assertThrows(() => new FileCacheStorage(file, { encryptionKey: 'short' }), 'requires a 32-byte encryption key');
+  assertThrows(() => new FileCacheStorage(file), 'encryption key is mandatory');
+
+  // Two handles on one file see each other's writes
+  const one = new FileCacheStorage(file, { encryptionKey });
+  const two = new FileCacheStorage(file, { encryptionKey });
+  one.set('k1', { macaroon: 'a', preimage: 'a' });
+  two.set('k2', { macaroon: 'b', preimage: 'b' });
+  assert(one.has('k2') && two.has('k1') && one.size === two.size, 'handles sharing a file stay in sync');
+
+  // A lock left behind by a crashed process is broken once stale
+  fs.writeFileSync(`${file}.lock`, '');
+  assertThrows(() => new FileCacheStorage(file, { encryptionKey, lockTimeoutMs: 30 }).set('k3', { preimage: 'c' }), 'times out on a held lock');
+  const past = new Date(Date.now() - 60000);
+  fs.utimesSync(`${file}.lock`, past, past);
+  new FileCacheStorage(file, { encryptionKey }).set('k3', { macaroon: 'c', preimage: 'c' });
+  assert(one.has('k3') && !fs.existsSync(`${file}.lock`), 'stale lock is broken');
+
+  // Concurrent writers in separate processes don't lose each other's entries
+  fs.unlinkSync(file);
+  const script = `
+    const { FileCacheStorage } = require(${JSON.stringify(path.join(__dirname, 'lib'))});
+    const s = new FileCacheStorage(process.argv[1], { encryptionKey: process.argv[2] });
+    for (let i = 0; i < 20; i++) s.set(process.argv[3] + i, { macaroon: 'm', preimage: 'p' + i });
+  `;
+  const writers = ['a', 'b'].map(tag => new Promise((resolve) => {
+    spawn(process.execPath, ['-e', script, file, encryptionKey.toString('hex'), tag]).on('exit', resolve);
+  }));
+  const codes = await Promise.all(writers);
+  const shared = new FileCacheStorage(file, { encryptionKey });
+  assert(codes.every(c => c === 0) && shared.size === 40 && shared.get('b19').preimage === 'p19', 'concurrent processes share the file safely');
+
+  fs.unlinkSync(file);
+}
+
 console.log('\nGlobal cache:');
 
 {